@@ -3,75 +3,786 @@
 import 'dotenv/config';
 import TelegramBot from 'node-telegram-bot-api';
 import { Pool } from 'pg';
-import axios from 'axios';
 import { LAMPORTS_PER_SOL } from '@solana/web3.js';
 import cjsPQueue from 'p-queue';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import { createPriceOracle } from './price_oracle.js';
+import { createTranslator, loadCatalogs, rawHtml } from './i18n.js';
+import { createLogger } from './logger.js';
 
 // --- Configuration ---
 const HELPER_BOT_TOKEN = process.env.HELPER_BOT_TOKEN;
 const DATABASE_URL = process.env.DATABASE_URL;
 const MY_BOT_ID = process.env.HELPER_BOT_ID || 'HelperBot_1';
 const GAME_LOOP_INTERVAL = 3000;
-const PLAYER_ACTION_TIMEOUT = 45000;
+const PLAYER_ACTION_TIMEOUT = parseInt(process.env.PLAYER_ACTION_TIMEOUT_MS, 10) || 45000;
+const TURN_WARNING_LEAD_MS = 10000;
+const SESSION_RESUME_MAX_AGE_MS = parseInt(process.env.SESSION_RESUME_MAX_AGE_MS, 10) || 30 * 60 * 1000;
+// Fleet settings: several helpers can share the session table; each owns sessions through a renewable lease.
+const TELEGRAM_POLLING_ENABLED = process.env.HELPER_TELEGRAM_POLLING !== 'false';
+const HELPER_HEARTBEAT_INTERVAL_MS = 10000;
+const SESSION_LEASE_TTL_MS = parseInt(process.env.SESSION_LEASE_TTL_MS, 10) || 30000;
+const HELPER_MAX_ACTIVE_SESSIONS = parseInt(process.env.HELPER_MAX_ACTIVE_SESSIONS, 10) || 50;
+const PICKUP_LOAD_GRACE_MS = 5000;
+// Provably-fair PvB: when enabled (globally, or per session via game_state_json.provablyFair), the bot's
+// rolls are derived from HMAC-SHA256(serverSeed, `${clientSeed}:${round}`) instead of Telegram's dice.
+const PVB_PROVABLY_FAIR = process.env.PVB_PROVABLY_FAIR === 'true';
+// House edge for provably-fair bot rolls, in [0, 0.5). The uniform draw u is skewed to u^(1 - edge)
+// before it is mapped onto the die's faces, which tilts the bot toward higher faces. 0 is a fair die.
+const PVB_HOUSE_EDGE = Math.min(Math.max(parseFloat(process.env.PVB_HOUSE_EDGE) || 0, 0), 0.49);
+// Anti-cheat: rolls arrive with the dice message's metadata, and a roll without it is rejected. Setting
+// ROLL_METADATA_REQUIRED=false accepts such rolls unchecked (with a warning), for main bots that don't send it yet.
+const ROLL_METADATA_REQUIRED = process.env.ROLL_METADATA_REQUIRED !== 'false';
+const ROLL_CLOCK_SKEW_MS = 2000;
+// Spectator side bets on PvP duels: fixed stake buttons, pari-mutuel settlement minus a house cut.
+const SPECTATOR_BET_STAKES_LAMPORTS = (process.env.SPECTATOR_BET_STAKES_SOL || '0.01,0.05').split(',').map(sol => BigInt(Math.round(parseFloat(sol) * Number(LAMPORTS_PER_SOL))));
+const SPECTATOR_BET_HOUSE_CUT = parseFloat(process.env.SPECTATOR_BET_HOUSE_CUT || '0.05');
+// Post-game rematch card: how long its buttons stay live, and the stakes offered under "Change stake".
+const REMATCH_WINDOW_MS = parseInt(process.env.REMATCH_WINDOW_MS, 10) || 60000;
+const REMATCH_STAKE_CHOICES_LAMPORTS = (process.env.REMATCH_STAKE_CHOICES_SOL || '0.01,0.05,0.1,0.5').split(',').map(sol => BigInt(Math.round(parseFloat(sol) * Number(LAMPORTS_PER_SOL))));
+// Embedded HTTP server for /healthz, /metrics, /sessions/:id and /sessions/:id/journal. Set HELPER_HTTP_PORT=0 to disable it.
+// The /sessions routes expose player data, so they are only mounted when HELPER_SUPPORT_TOKEN is set, and they
+// require it as a Bearer token.
+const HELPER_HTTP_PORT = parseInt(process.env.HELPER_HTTP_PORT ?? '8081', 10);
+const HELPER_SUPPORT_TOKEN = process.env.HELPER_SUPPORT_TOKEN || null;
+// Telegram user ids allowed to run the /admin_* operator commands.
+const ADMIN_USER_IDS = new Set((process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean));
+// What happens when a player lets the turn deadline pass: 'forfeit' (PvP: opponent wins; group: the idle player
+// is out of the payout and skipped),
+// 'cashout' (Darts 501 only, pays the current multiplier), 'loss', or 'void' (completed_timeout).
+const TURN_TIMEOUT_RULES = {
+    pvp: process.env.PVP_TIMEOUT_RULE || 'forfeit',
+    pvb: process.env.PVB_TIMEOUT_RULE || 'loss',
+    darts_501: process.env.DARTS_501_TIMEOUT_RULE || 'cashout',
+    group: process.env.GROUP_TIMEOUT_RULE || 'forfeit',
+};
+// Responsible gaming: tightening a limit applies at once, raising or removing one waits RG_LIMIT_INCREASE_DELAY_MS.
+// A gap of RG_PLAY_BREAK_MS between games ends a stretch of continuous play for the reality check.
+const RG_LIMIT_INCREASE_DELAY_MS = parseInt(process.env.RG_LIMIT_INCREASE_DELAY_MS, 10) || 24 * 60 * 60 * 1000;
+const RG_PLAY_BREAK_MS = parseInt(process.env.RG_PLAY_BREAK_MS, 10) || 15 * 60 * 1000;
 
 // --- Basic Utilities ---
 const PQueue = cjsPQueue.default ?? cjsPQueue;
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const formatUtcTime = (date) => `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+// Logs are JSON lines (see logger.js) stamped with this helper's ID. Event handlers, taps, commands and timers
+// run inside log.withContext() with a correlationId, so everything they trigger can be traced back to them.
+const log = createLogger({ level: (process.env.LOG_LEVEL || 'info').toLowerCase(), base: { helperId: MY_BOT_ID } });
+const sessionLog = (session, component) => log.child({ component, sessionId: session.session_id, gameType: session.game_type });
+const newCorrelationId = (kind) => `${kind}-${crypto.randomUUID()}`;
+// Catch handlers for calls whose failure must not stop the caller. logIgnored is for best-effort calls (deletes,
+// edits, callback answers): Telegram's "nothing to do" errors are debug, anything else a warning. logFailure is
+// for messages the player needed to see.
+const BENIGN_TELEGRAM_ERRORS = /message is not modified|message to (edit|delete) not found|query is too old/;
+const logIgnored = (action) => (e) => (BENIGN_TELEGRAM_ERRORS.test(e?.message || '') ? log.debug : log.warn)(`${action} failed`, { err: e });
+const logFailure = (action) => (e) => log.error(`${action} failed`, { err: e });
 
-// --- Price Fetching & Formatting Dependencies ---
-const SOL_DECIMALS = 9;
-const solPriceCache = new Map();
-const SOL_PRICE_CACHE_KEY = 'sol_usd_price_cache';
-const SOL_USD_PRICE_CACHE_TTL_MS = 60 * 60 * 1000;
+// --- Price Oracle & Display Currency ---
+// Rates are refreshed in the background by price_oracle.js; boards render from the last good rate and
+// fall back to plain SOL once it is older than PRICE_MAX_AGE_MS. Sources: binance, coingecko, fixed, file.
+const DEFAULT_DISPLAY_CURRENCY = (process.env.DEFAULT_DISPLAY_CURRENCY || 'USD').toUpperCase();
+const priceOracle = createPriceOracle({
+    sources: (process.env.PRICE_ORACLE_SOURCES || 'binance,coingecko').split(',').map(name => name.trim()).filter(Boolean),
+    currencies: (process.env.DISPLAY_CURRENCIES || 'USD,EUR,GBP').split(',').map(c => c.trim().toUpperCase()).filter(Boolean),
+    refreshIntervalMs: parseInt(process.env.PRICE_REFRESH_INTERVAL_MS, 10) || 60 * 1000,
+    staleAfterMs: parseInt(process.env.PRICE_STALE_AFTER_MS, 10) || 5 * 60 * 1000,
+    maxAgeMs: parseInt(process.env.PRICE_MAX_AGE_MS, 10) || 60 * 60 * 1000,
+    sourceOptions: { fixedRates: process.env.PRICE_ORACLE_FIXED_RATES, filePath: process.env.PRICE_ORACLE_FILE },
+    logger: log.child({ component: 'PriceOracle' }),
+});
+const displayCurrencyCache = new Map();
+
+// --- Localization ---
+// Player-facing text comes from the catalogs in locales/ (or HELPER_LOCALES_DIR). Each chat and user gets a
+// language from a stored /language preference or Telegram's language_code, falling back to DEFAULT_LANGUAGE.
+const DEFAULT_LANGUAGE = (process.env.DEFAULT_LANGUAGE || 'en').toLowerCase();
+const translator = createTranslator({
+    catalogs: loadCatalogs(process.env.HELPER_LOCALES_DIR || new URL('./locales/', import.meta.url)),
+    defaultLanguage: DEFAULT_LANGUAGE,
+    escape: (value) => escape(value),
+    logger: log.child({ component: 'i18n' }),
+});
+const t = translator.t;
+const tPlain = translator.plain;
+const languageCache = new Map();
 
 // --- In-Memory State ---
 const activeTurnTimeouts = new Map();
+let pickupsPaused = false;
+const listenerState = { connected: false, connectedAt: null, lastNotificationAt: null, lastError: null };
+let myActiveSessionCount = 0;
 
 // --- Game Constants ---
 
 // Performance-Based Darts 501 Challenge (PvB - Solo) Constants
-const DARTS_501_START_SCORE = 501;
-const DARTS_501_VISIT_LIMIT = 8;
-const DARTS_501_THROWS_PER_VISIT = 2;
+// The board: 6 = T20, 5 = Bull, 4 = D20, 3 = S20, 2 = S7, 1 = S1. Bull and D20 count as doubles for double-out.
 const DARTS_501_POINTS_PER_ROLL = { 6: 60, 5: 50, 4: 40, 3: 20, 2: 7, 1: 1 };
-const DARTS_501_PAR_SCORE_PER_VISIT = 75;
-const DARTS_501_MULTIPLIER_GAIN = 0.15;
-const DARTS_501_MULTIPLIER_LOSS = 0.10;
-const DARTS_501_JACKPOT_MULTIPLIER = 10.00;
+const DARTS_501_DOUBLE_ROLLS = new Set([5, 4]);
+// Difficulty tiers (start score, visits, par and multiplier curve) are data, loaded from darts_501_tiers.json
+// or the file named by DARTS_501_TIERS_FILE.
+const DARTS_501_TIERS = JSON.parse(fs.readFileSync(process.env.DARTS_501_TIERS_FILE || new URL('./darts_501_tiers.json', import.meta.url), 'utf8'));
+const DARTS_501_DEFAULT_TIER = '501';
 
 // Turn-Based PvB Duel Game Constants
 const PVB_BOWLING_FRAMES = 3;
 const PVB_BASKETBALL_SHOTS = 3;
 const PVB_DARTS_THROWS = 3;
+// How long the bot's dice animation plays before its roll is scored and the message removed.
+const PVB_BOT_ROLL_DELAY_MS = parseInt(process.env.PVB_BOT_ROLL_DELAY_MS ?? '2500', 10);
 
 // Turn-Based Bowling Score Mapping
 const PVB_BOWLING_SCORES = { 6: 10, 5: 8, 4: 6, 3: 4, 2: 2, 1: 0 };
+// A 5 knocks down 8 and the second ball picks up the rest. Strikes earn the next two frames as bonus, spares the next one.
+const BOWLING_SPARE_ROLL = 5;
+
+// Darts Ring Mapping (PvB and PvP duels)
+const DARTS_RING_POINTS = { 6: 50, 5: 25, 4: 15, 3: 10, 2: 5, 1: 0 };
+// Ring names are catalog keys (score.ring.<name>).
+const DARTS_RING_LABELS = { 6: 'bullseye', 5: 'outer_bull', 4: 'treble', 3: 'double', 2: 'single', 1: 'miss' };
+
+// Basketball Make/Miss Mapping (Telegram's 🏀 lands 4 and 5 as makes)
+const BASKETBALL_MAKE_MIN_ROLL = 4;
+const BASKETBALL_MAKE_POINTS = 3;
+const BASKETBALL_STREAK_BONUS = 1;
 
 // PvP Constants
 const PVP_BOWLING_FRAMES = 3;
 const PVP_BASKETBALL_SHOTS = 5;
 const PVP_DARTS_THROWS = 3;
 
+// Tournament Constants (brackets are run on the PvP duel engine)
+const TOURNAMENT_SIZES = [4, 8, 16];
+// Prize pool split in percent: 1st, 2nd, 3rd. The 3rd-place share is divided between the two losing semi-finalists.
+const TOURNAMENT_PRIZE_SPLIT = (process.env.TOURNAMENT_PRIZE_SPLIT || '65,25,10').split(',').map(Number);
+const TOURNAMENT_HOUSE_CUT = parseFloat(process.env.TOURNAMENT_HOUSE_CUT || '0.05');
+const TOURNAMENT_REGISTRATION_TIMEOUT_MS = 10 * 60 * 1000;
+const TOURNAMENT_MAX_TIEBREAKS = 3;
+
+// Group Round Constants (3-8 players in one session)
+const GROUP_MIN_PLAYERS = 3;
+const GROUP_MAX_PLAYERS = 8;
+const GROUP_ROLLS_PER_PLAYER = 3;
+const GROUP_LOBBY_TIMEOUT_MS = 60000;
+// Pot split in percent by finishing place; tied players share the combined shares of the places they occupy.
+const GROUP_PAYOUT_SPLIT = (process.env.GROUP_PAYOUT_SPLIT || '70,30').split(',').map(Number);
+
+// --- Game Registry ---
+// Every game the helper can run is declared once here. The engines read the definition (mode,
+// emoji, name, turns, scoring, tie rule) instead of matching on game_type strings, so a new dice
+// game is one `defineGame` entry plus, if the point table is not enough, a custom scorer.
+const GAME_MODES = { PVB: 'pvb', PVP: 'pvp', GROUP: 'group', SOLO_PROGRESSIVE: 'solo_progressive' };
+const GAME_REGISTRY = {};
+
+
+// --- Scoring Engines ---
+// Each engine turns a roll sequence into a score card: per-roll entries ({ roll, points, bonus,
+// label, labelParams, short }) and a total, where `label` is a catalog key rendered with labelParams.
+// PvB and PvP share them, and both sides of a PvB duel use the same one.
+function pointTableScoreCard(pointTable) {
+    return (rolls) => {
+        const entries = (rolls || []).map(roll => ({ roll, points: pointTable[roll] || 0, bonus: 0, label: 'score.points', labelParams: { count: pointTable[roll] || 0 }, short: String(pointTable[roll] || 0) }));
+        return { total: entries.reduce((sum, e) => sum + e.points, 0), entries };
+    };
+}
+function bowlingScoreCard(pointTable) {
+    return (rolls) => {
+        const frames = (rolls || []).map(roll => {
+            const pins = pointTable[roll] || 0;
+            if (pins === 10) return { roll, pins: 10, mark: 'strike' };
+            if (roll === BOWLING_SPARE_ROLL) return { roll, pins: 10, firstBall: pins, mark: 'spare' };
+            return { roll, pins, mark: 'open' };
+        });
+        // Bonuses only count frames already bowled, so a mark in the final frame scores a flat 10.
+        const entries = frames.map((frame, i) => {
+            const bonusFrames = frame.mark === 'strike' ? 2 : (frame.mark === 'spare' ? 1 : 0);
+            const bonus = frames.slice(i + 1, i + 1 + bonusFrames).reduce((sum, f) => sum + f.pins, 0);
+            let label = 'score.pins', labelParams = { count: frame.pins }, short = String(frame.pins);
+            if (frame.mark === 'strike') { label = 'score.strike'; short = 'X'; }
+            else if (frame.mark === 'spare') { label = 'score.spare'; labelParams = { first: frame.firstBall, second: 10 - frame.firstBall }; short = '/'; }
+            return { roll: frame.roll, points: frame.pins + bonus, bonus, label, labelParams, short };
+        });
+        return { total: entries.reduce((sum, e) => sum + e.points, 0), entries };
+    };
+}
+function dartsRingScoreCard(pointTable, labels) {
+    return (rolls) => {
+        const entries = (rolls || []).map(roll => {
+            const points = pointTable[roll] || 0;
+            return { roll, points, bonus: 0, label: `score.ring.${labels[roll] || 'miss'}`, labelParams: { points }, short: String(points) };
+        });
+        return { total: entries.reduce((sum, e) => sum + e.points, 0), entries };
+    };
+}
+function basketballScoreCard(pointTable) {
+    return (rolls) => {
+        let streak = 0;
+        const entries = (rolls || []).map(roll => {
+            if (!pointTable[roll]) { streak = 0; return { roll, points: 0, bonus: 0, label: 'score.miss', labelParams: {}, short: '✗' }; }
+            streak++;
+            const bonus = (streak - 1) * BASKETBALL_STREAK_BONUS;
+            const label = streak > 1 ? 'score.swish_streak' : 'score.swish';
+            return { roll, points: pointTable[roll] + bonus, bonus, label, labelParams: { count: streak }, short: '✓' };
+        });
+        return { total: entries.reduce((sum, e) => sum + e.points, 0), entries };
+    };
+}
+const BASKETBALL_POINT_TABLE = Object.fromEntries([1, 2, 3, 4, 5, 6].map(r => [r, r >= BASKETBALL_MAKE_MIN_ROLL ? BASKETBALL_MAKE_POINTS : 0]));
+
+// `scoreCard` defaults to summing the point table; `score(rolls)` is always the card's total.
+function defineGame(key, definition) {
+    const def = { key, tieRule: 'loss', diceFaces: 6, ...definition };
+    if (!def.scoreCard) def.scoreCard = pointTableScoreCard(def.pointTable);
+    def.score = (rolls) => def.scoreCard(rolls).total;
+    GAME_REGISTRY[key] = def;
+    return def;
+}
+const bowlingEngine = bowlingScoreCard(PVB_BOWLING_SCORES);
+const dartsEngine = dartsRingScoreCard(DARTS_RING_POINTS, DARTS_RING_LABELS);
+const basketballEngine = basketballScoreCard(BASKETBALL_POINT_TABLE);
+defineGame('bowling', { mode: GAME_MODES.PVB, emoji: '🎳', displayName: "Kingpin's Challenge", turns: PVB_BOWLING_FRAMES, tieRule: 'loss', pointTable: PVB_BOWLING_SCORES, scoreCard: bowlingEngine });
+defineGame('basketball', { mode: GAME_MODES.PVB, emoji: '🏀', displayName: "3-Point Hoops", turns: PVB_BASKETBALL_SHOTS, tieRule: 'push', diceFaces: 5, pointTable: BASKETBALL_POINT_TABLE, scoreCard: basketballEngine });
+defineGame('darts', { mode: GAME_MODES.PVB, emoji: '🎯', displayName: "Bullseye Blitz", turns: PVB_DARTS_THROWS, tieRule: 'loss', pointTable: DARTS_RING_POINTS, scoreCard: dartsEngine });
+defineGame('bowling_duel_pvp', { mode: GAME_MODES.PVP, emoji: '🎳', displayName: "Bowling Duel", turns: PVP_BOWLING_FRAMES, tieRule: 'push', pointTable: PVB_BOWLING_SCORES, scoreCard: bowlingEngine });
+defineGame('basketball_clash_pvp', { mode: GAME_MODES.PVP, emoji: '🏀', displayName: "3-Point Clash", turns: PVP_BASKETBALL_SHOTS, tieRule: 'push', diceFaces: 5, pointTable: BASKETBALL_POINT_TABLE, scoreCard: basketballEngine });
+defineGame('darts_duel_pvp', { mode: GAME_MODES.PVP, emoji: '🎯', displayName: "Darts Showdown", turns: PVP_DARTS_THROWS, tieRule: 'push', pointTable: DARTS_RING_POINTS, scoreCard: dartsEngine });
+defineGame('bowling_group', { mode: GAME_MODES.GROUP, emoji: '🎳', displayName: "Bowling Party", turns: GROUP_ROLLS_PER_PLAYER, pointTable: PVB_BOWLING_SCORES, scoreCard: bowlingEngine });
+defineGame('basketball_group', { mode: GAME_MODES.GROUP, emoji: '🏀', displayName: "Hoops Party", turns: GROUP_ROLLS_PER_PLAYER, diceFaces: 5, pointTable: BASKETBALL_POINT_TABLE, scoreCard: basketballEngine });
+defineGame('darts_group', { mode: GAME_MODES.GROUP, emoji: '🎯', displayName: "Darts Party", turns: GROUP_ROLLS_PER_PLAYER, pointTable: DARTS_RING_POINTS, scoreCard: dartsEngine });
+defineGame('darts_501', { mode: GAME_MODES.SOLO_PROGRESSIVE, emoji: '🎯', displayName: "Darts 501 Challenge", turns: DARTS_501_TIERS[DARTS_501_DEFAULT_TIER].visitLimit, pointTable: DARTS_501_POINTS_PER_ROLL, tiers: DARTS_501_TIERS });
+
+// Exact match first; PvP types may arrive with a suffix from the main bot, so fall back to a prefix match.
+function getGameDefinition(gameType) {
+    if (!gameType) return null;
+    const lt = String(gameType).toLowerCase();
+    return GAME_REGISTRY[lt] || Object.values(GAME_REGISTRY).find(def => def.mode === GAME_MODES.PVP && lt.includes(def.key)) || null;
+}
+function getGameMode(gameType) { return getGameDefinition(gameType)?.mode || null; }
+
 
 // --- Database & Bot Setup ---
-if (!HELPER_BOT_TOKEN || !DATABASE_URL) {
-    console.error("❌ CRITICAL: HELPER_BOT_TOKEN or DATABASE_URL is missing. Helper bot cannot start.");
-    process.exit(1);
+// The engines reach Postgres only through `pool` and Telegram only through `bot`. Run as a process, these are a
+// pg Pool and a polling TelegramBot (see Main Execution); test/harness injects an in-memory store and a fake
+// client with useDatabase() and useTelegramClient() instead.
+let pool = null;
+let bot = null;
+const telegramPollingState = { lastErrorAt: null, lastError: null, lastUpdateAt: null };
+function useDatabase(db) { pool = db; }
+function useTelegramClient(client) {
+    bot = client;
+    client.on('polling_error', (error) => {
+        telegramPollingState.lastErrorAt = Date.now();
+        telegramPollingState.lastError = `${error.code} - ${error.message}`;
+        log.error('Telegram polling error', { component: 'Telegram', err: error });
+    });
+    client.on('message', () => { telegramPollingState.lastUpdateAt = Date.now(); });
+    client.on('callback_query', () => { telegramPollingState.lastUpdateAt = Date.now(); });
+    // Every update runs under its own correlation ID, carried through everything it triggers.
+    const traced = (handler) => (msg, match) => log.withContext({ correlationId: `message-${msg.chat.id}-${msg.message_id}`, userId: String(msg.from?.id) }, () => handler(msg, match));
+    client.on('callback_query', (query) => log.withContext({ correlationId: `callback-${query.id}`, userId: String(query.from.id) }, () => handleCallbackQuery(query)));
+    client.onText(/^\/leaderboard(?:@\w+)?(?:\s+(\d+))?/, traced(handleLeaderboardCommand));
+    client.onText(/^\/tournament(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?(?:\s+(\S+))?/, traced(handleTournamentCommand));
+    client.onText(/^\/currency(?:@\w+)?(?:\s+(chat))?(?:\s+([A-Za-z]{3}))?\s*$/, traced(handleCurrencyCommand));
+    client.onText(/^\/language(?:@\w+)?(?:\s+(chat))?(?:\s+([A-Za-z_-]{2,10}))?\s*$/, traced(handleLanguageCommand));
+    client.onText(/^\/history(?:@\w+)?\s*$/, traced(handleHistoryCommand));
+    client.onText(/^\/stats(?:@\w+)?\s*$/, traced(handleStatsCommand));
+    client.onText(/^\/limits(?:@\w+)?(?:\s+(\w+))?(?:\s+(\S+))?\s*$/, traced(handleLimitsCommand));
+    client.onText(/^\/admin_(\w+)(?:@\w+)?(?:\s+([\s\S]+))?$/, traced(handleAdminCommand));
+    client.onText(/^\/verify(?:@\w+)?\s+(\S+)/, traced(handleVerifyCommand));
+}
+
+// --- TELEGRAM SEND LAYER ---
+// Every send, edit and delete goes through its chat's lane (in order, spaced to Telegram's per-chat limit)
+// and then a global budget shared by all chats, so one busy group no longer slows every other game.
+// A 429 pauses the lane for retry_after; network errors and 5xx are retried with backoff.
+// Deletes keep their place in the lane but don't spend the chat's budget.
+const TELEGRAM_GLOBAL_SENDS_PER_SECOND = parseInt(process.env.TELEGRAM_GLOBAL_SENDS_PER_SECOND, 10) || 25;
+const TELEGRAM_PRIVATE_CHAT_INTERVAL_MS = parseInt(process.env.TELEGRAM_PRIVATE_CHAT_INTERVAL_MS, 10) || 1000;
+const TELEGRAM_GROUP_CHAT_INTERVAL_MS = parseInt(process.env.TELEGRAM_GROUP_CHAT_INTERVAL_MS, 10) || 3000;
+const TELEGRAM_SEND_MAX_RETRIES = 3;
+const telegramGlobalBudget = new PQueue({ interval: 1000, intervalCap: TELEGRAM_GLOBAL_SENDS_PER_SECOND });
+const telegramChatLanes = new Map();
+// delayed: waited for the chat's next slot; throttled: hit a 429 from Telegram.
+const telegramSendMetrics = { sent: 0, failed: 0, retried: 0, delayed: 0, throttled: 0, throttledWaitMs: 0 };
+function getTelegramSendMetrics() {
+    let queued = 0, deepestChatQueue = 0;
+    for (const lane of telegramChatLanes.values()) { queued += lane.depth; deepestChatQueue = Math.max(deepestChatQueue, lane.depth); }
+    return { ...telegramSendMetrics, queued, deepestChatQueue, activeChats: telegramChatLanes.size, globalPending: telegramGlobalBudget.size + telegramGlobalBudget.pending };
+}
+function getChatLane(chatId) {
+    const key = String(chatId);
+    if (!telegramChatLanes.has(key)) {
+        // Group and channel ids are negative; Telegram allows them far fewer messages per minute.
+        const intervalMs = Number(chatId) < 0 ? TELEGRAM_GROUP_CHAT_INTERVAL_MS : TELEGRAM_PRIVATE_CHAT_INTERVAL_MS;
+        telegramChatLanes.set(key, { tail: Promise.resolve(), depth: 0, nextSlotAt: 0, intervalMs });
+    }
+    return telegramChatLanes.get(key);
+}
+function isTransientTelegramError(e) {
+    const status = e.response?.body?.error_code ?? e.response?.statusCode;
+    return e.code === 'EFATAL' || (typeof status === 'number' && status >= 500);
+}
+async function callTelegramWithRetry(lane, call) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const result = await telegramGlobalBudget.add(call);
+            telegramSendMetrics.sent++;
+            return result;
+        } catch (e) {
+            const retryAfterSec = e.response?.body?.parameters?.retry_after;
+            if (retryAfterSec && attempt < TELEGRAM_SEND_MAX_RETRIES) {
+                const waitMs = retryAfterSec * 1000;
+                telegramSendMetrics.throttled++;
+                telegramSendMetrics.throttledWaitMs += waitMs;
+                lane.nextSlotAt = Date.now() + waitMs;
+                await sleep(waitMs);
+                continue;
+            }
+            if (isTransientTelegramError(e) && attempt < TELEGRAM_SEND_MAX_RETRIES) {
+                telegramSendMetrics.retried++;
+                await sleep(500 * 2 ** attempt);
+                continue;
+            }
+            if (!/not modified/i.test(e.message)) telegramSendMetrics.failed++;
+            throw e;
+        }
+    }
+}
+function enqueueTelegramCall(chatId, call, { spendsBudget = true } = {}) {
+    const key = String(chatId);
+    const lane = getChatLane(chatId);
+    lane.depth++;
+    const run = lane.tail.then(async () => {
+        if (spendsBudget) {
+            const waitMs = lane.nextSlotAt - Date.now();
+            if (waitMs > 0) { telegramSendMetrics.delayed++; await sleep(waitMs); }
+            lane.nextSlotAt = Date.now() + lane.intervalMs;
+        }
+        return callTelegramWithRetry(lane, call);
+    });
+    lane.tail = run.catch(() => {}).finally(() => {
+        lane.depth--;
+        if (lane.depth > 0) return;
+        // Keep an idle lane until its spacing has elapsed, then drop it.
+        setTimeout(() => { if (lane.depth === 0 && telegramChatLanes.get(key) === lane) telegramChatLanes.delete(key); }, Math.max(0, lane.nextSlotAt - Date.now()));
+    });
+    return run;
+}
+const queuedSendMessage = (chatId, text, options) => enqueueTelegramCall(chatId, () => bot.sendMessage(chatId, text, options));
+const queuedSendDice = (chatId, options) => enqueueTelegramCall(chatId, () => bot.sendDice(chatId, options));
+const queuedEditMessageText = (chatId, messageId, text, options = {}) => enqueueTelegramCall(chatId, () => bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options }));
+const queuedEditReplyMarkup = (chatId, messageId, replyMarkup) => enqueueTelegramCall(chatId, () => bot.editMessageReplyMarkup(replyMarkup, { chat_id: chatId, message_id: messageId }));
+const queuedDeleteMessage = (chatId, messageId) => enqueueTelegramCall(chatId, () => bot.deleteMessage(chatId, messageId), { spendsBudget: false });
+// Edits messageId in place when there is one, and sends a new message when there isn't or it can't be edited.
+// A message that still exists but could not be edited is deleted first, so the chat never shows two live boards.
+// Resolves to the message; an in-place edit keeps messageId, so callers can tell the two apart.
+async function upsertMessage(chatId, messageId, text, options = {}) {
+    if (messageId) {
+        try {
+            const edited = await queuedEditMessageText(chatId, messageId, text, options);
+            return typeof edited === 'object' ? edited : { message_id: messageId };
+        } catch (e) {
+            if (/not modified/i.test(e.message)) return { message_id: messageId };
+            if (!/message to edit not found/i.test(e.message)) await queuedDeleteMessage(chatId, messageId).catch(logIgnored('deleteMessage'));
+        }
+    }
+    return queuedSendMessage(chatId, text, options);
+}
+
+// Tables and columns the helper owns. Everything here is additive and safe to run on every start.
+async function ensureHelperSchema() {
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS helper_bot_heartbeats (
+            helper_bot_id TEXT PRIMARY KEY,
+            active_sessions INTEGER NOT NULL DEFAULT 0,
+            started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            last_heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    await pool.query("ALTER TABLE interactive_game_sessions ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ");
+    await pool.query("ALTER TABLE interactive_game_sessions ADD COLUMN IF NOT EXISTS previous_session_id INTEGER");
+    await pool.query("ALTER TABLE interactive_game_sessions ADD COLUMN IF NOT EXISTS stakes_debited_at TIMESTAMPTZ");
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS helper_tournaments (
+            tournament_id SERIAL PRIMARY KEY,
+            chat_id BIGINT NOT NULL,
+            organizer_id BIGINT NOT NULL,
+            game_type TEXT NOT NULL,
+            bracket_size INTEGER NOT NULL,
+            entry_fee_lamports BIGINT NOT NULL,
+            prize_split JSONB NOT NULL,
+            house_cut NUMERIC NOT NULL,
+            entrants JSONB NOT NULL DEFAULT '[]',
+            status TEXT NOT NULL DEFAULT 'registering',
+            bracket_message_id BIGINT,
+            helper_bot_id TEXT NOT NULL,
+            payouts JSONB,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            completed_at TIMESTAMPTZ
+        )`);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS helper_tournament_matches (
+            match_id SERIAL PRIMARY KEY,
+            tournament_id INTEGER NOT NULL REFERENCES helper_tournaments(tournament_id) ON DELETE CASCADE,
+            round INTEGER NOT NULL,
+            match_index INTEGER NOT NULL,
+            p1_id BIGINT NOT NULL,
+            p1_name TEXT,
+            p2_id BIGINT NOT NULL,
+            p2_name TEXT,
+            session_id INTEGER REFERENCES interactive_game_sessions(session_id),
+            tiebreaks INTEGER NOT NULL DEFAULT 0,
+            winner_id BIGINT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            UNIQUE (tournament_id, round, match_index)
+        )`);
+    await pool.query("ALTER TABLE helper_tournament_matches ADD COLUMN IF NOT EXISTS coin_flip_seed TEXT");
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS helper_spectator_bets (
+            bet_id BIGSERIAL PRIMARY KEY,
+            session_id INTEGER NOT NULL REFERENCES interactive_game_sessions(session_id),
+            user_id BIGINT NOT NULL,
+            user_name TEXT,
+            side TEXT NOT NULL CHECK (side IN ('p1', 'p2')),
+            amount_lamports BIGINT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'open',
+            payout_lamports BIGINT,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            settled_at TIMESTAMPTZ
+        )`);
+    await pool.query("ALTER TABLE helper_spectator_bets ADD COLUMN IF NOT EXISTS debited_at TIMESTAMPTZ");
+    await pool.query("CREATE INDEX IF NOT EXISTS helper_spectator_bets_session_idx ON helper_spectator_bets (session_id)");
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS darts_501_best_finishes (
+            user_id BIGINT NOT NULL,
+            tier TEXT NOT NULL,
+            double_out BOOLEAN NOT NULL,
+            user_name TEXT,
+            best_checkout_visits INTEGER,
+            best_checkout_session_id INTEGER,
+            best_multiplier NUMERIC,
+            best_multiplier_session_id INTEGER,
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (user_id, tier, double_out)
+        )`);
+    // One row per player per finished session, written by finalizeGame. net_lamports is payout minus stake;
+    // rounds keeps the roll-by-roll detail for /history.
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS helper_game_results (
+            session_id INTEGER NOT NULL,
+            user_id BIGINT NOT NULL,
+            user_name TEXT,
+            chat_id BIGINT NOT NULL,
+            game_type TEXT NOT NULL,
+            game_mode TEXT NOT NULL,
+            status TEXT NOT NULL,
+            outcome TEXT NOT NULL,
+            stake_lamports BIGINT NOT NULL,
+            payout_lamports BIGINT NOT NULL,
+            net_lamports BIGINT NOT NULL,
+            score INTEGER,
+            opponent_score INTEGER,
+            multiplier NUMERIC,
+            rounds JSONB NOT NULL DEFAULT '[]',
+            finished_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (session_id, user_id)
+        )`);
+    await pool.query("CREATE INDEX IF NOT EXISTS helper_game_results_user_idx ON helper_game_results (user_id, finished_at)");
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS helper_roll_rejections (
+            rejection_id BIGSERIAL PRIMARY KEY,
+            session_id INTEGER NOT NULL,
+            user_id BIGINT,
+            game_type TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            roll_value INTEGER,
+            roll_meta JSONB,
+            helper_bot_id TEXT NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    await pool.query("CREATE INDEX IF NOT EXISTS helper_roll_rejections_user_idx ON helper_roll_rejections (user_id, created_at)");
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS helper_display_currency (
+            scope TEXT NOT NULL,
+            scope_id BIGINT NOT NULL,
+            currency TEXT NOT NULL,
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (scope, scope_id)
+        )`);
+    // One row per user or chat. source 'preference' is a /language choice; 'telegram' is the user's last
+    // reported language_code and never overwrites a choice.
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS helper_language_prefs (
+            scope TEXT NOT NULL,
+            scope_id BIGINT NOT NULL,
+            language TEXT NOT NULL,
+            source TEXT NOT NULL DEFAULT 'preference',
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (scope, scope_id)
+        )`);
+    // Responsible-gaming limits, one row per user. Loss limits are net losses over a rolling 24 hours / 7 days.
+    // pending_limits holds raised or removed limits until pending_effective_at; the play_* columns track
+    // continuous play for the reality check.
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS helper_rg_limits (
+            user_id BIGINT PRIMARY KEY,
+            daily_loss_limit_lamports BIGINT,
+            weekly_loss_limit_lamports BIGINT,
+            daily_session_limit INTEGER,
+            reality_check_minutes INTEGER,
+            cool_off_until TIMESTAMPTZ,
+            self_excluded_until TIMESTAMPTZ,
+            pending_limits JSONB,
+            pending_effective_at TIMESTAMPTZ,
+            play_started_at TIMESTAMPTZ,
+            last_played_at TIMESTAMPTZ,
+            last_reality_check_at TIMESTAMPTZ,
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS helper_admin_audit (
+            audit_id BIGSERIAL PRIMARY KEY,
+            admin_user_id BIGINT NOT NULL,
+            helper_bot_id TEXT NOT NULL,
+            command TEXT NOT NULL,
+            session_id INTEGER,
+            args TEXT,
+            outcome TEXT NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS helper_event_outbox (
+            event_id BIGSERIAL PRIMARY KEY,
+            channel TEXT NOT NULL,
+            event_type TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            payload JSONB NOT NULL,
+            source TEXT NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    await pool.query("CREATE INDEX IF NOT EXISTS helper_event_outbox_channel_idx ON helper_event_outbox (channel, event_id)");
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS helper_event_cursors (
+            helper_bot_id TEXT PRIMARY KEY,
+            last_event_id BIGINT NOT NULL,
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS pvb_fairness_seeds (
+            session_id INTEGER PRIMARY KEY,
+            server_seed TEXT NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS helper_session_journal (
+            journal_id BIGSERIAL PRIMARY KEY,
+            session_id INTEGER NOT NULL,
+            entry_type TEXT NOT NULL,
+            actor TEXT,
+            helper_bot_id TEXT NOT NULL,
+            correlation_id TEXT,
+            detail JSONB,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`);
+    await pool.query("CREATE INDEX IF NOT EXISTS helper_session_journal_session_idx ON helper_session_journal (session_id, journal_id)");
+    // Append-only: rows can be added but never changed or removed.
+    await pool.query(`
+        CREATE OR REPLACE FUNCTION helper_session_journal_append_only() RETURNS trigger AS $$
+        BEGIN
+            RAISE EXCEPTION 'helper_session_journal is append-only';
+        END;
+        $$ LANGUAGE plpgsql`);
+    await pool.query("DROP TRIGGER IF EXISTS helper_session_journal_append_only ON helper_session_journal");
+    await pool.query("CREATE TRIGGER helper_session_journal_append_only BEFORE UPDATE OR DELETE ON helper_session_journal FOR EACH ROW EXECUTE FUNCTION helper_session_journal_append_only()");
+}
+
+
+// --- EVENT PROTOCOL ---
+// Every NOTIFY goes through publishEvent: the payload is checked against EVENT_SCHEMAS, stored in
+// helper_event_outbox (inside the caller's transaction when given a client) and sent with pg_notify($1, $2)
+// as { v, event_id, type, ...ids }. Payloads carry IDs and the amounts a consumer acts on; consumers read other
+// details from the referenced rows.
+// 'completed' is the one event that settles a session; 'timeout', 'cancelled' and 'refused' only say why it ended.
+// An envelope that would still exceed Postgres's NOTIFY limit is sent as { v, event_id, type, truncated: true }
+// and the receiver reads the payload from the outbox.
+const EVENT_PROTOCOL_VERSION = 1;
+const NOTIFY_MAX_PAYLOAD_BYTES = 7900;
+const EVENT_OUTBOX_RETENTION_MS = parseInt(process.env.EVENT_OUTBOX_RETENTION_MS, 10) || 24 * 60 * 60 * 1000;
+const EVENT_SCHEMAS = {
+    pickup: { channel: 'game_session_pickup', fields: { session_id: 'id?', main_bot_game_id: 'string?', helper_bot_id: 'string?' }, anyOf: ['session_id', 'main_bot_game_id'] },
+    roll_submitted: { channel: 'interactive_roll_submitted', fields: { session_id: 'id', roll: 'object?' } },
+    completed: { channel: 'game_completed', fields: { session_id: 'id', status: 'string' } },
+    timeout: { channel: 'game_timeout', fields: { session_id: 'id', rule: 'string', player_id: 'id?' } },
+    cancelled: { channel: 'game_cancelled', fields: { session_id: 'id', reason: 'string' } },
+    refused: { channel: 'game_refused', fields: { session_id: 'id', user_id: 'id', reason: 'string' } },
+    session_action: { channel: 'helper_session_action', fields: { session_id: 'id', helper_bot_id: 'string', action: 'string', args: 'array?' } },
+    rematch_created: { channel: 'rematch_created', fields: { session_id: 'id', previous_session_id: 'id', user_ids: 'array', bet_amount_lamports: 'lamports' } },
+    spectator_bet_placed: { channel: 'spectator_bet_placed', fields: { bet_id: 'id', session_id: 'id', user_id: 'id', amount_lamports: 'lamports' } },
+    spectator_bets_settled: { channel: 'spectator_bets_settled', fields: { session_id: 'id', outcome: 'string', refund_reason: 'string?', payouts: 'array' } },
+    group_player_joined: { channel: 'group_player_joined', fields: { session_id: 'id', user_id: 'id', bet_amount_lamports: 'lamports' } },
+    tournament_entry: { channel: 'tournament_entry', fields: { tournament_id: 'id', user_id: 'id', entry_fee_lamports: 'lamports' } },
+    tournament_completed: { channel: 'tournament_completed', fields: { tournament_id: 'id' } },
+    tournament_cancelled: { channel: 'tournament_cancelled', fields: { tournament_id: 'id', reason: 'string' } },
+};
+// The channels this helper consumes; everything else it publishes is for the main bot.
+const INBOUND_EVENT_TYPES = ['pickup', 'roll_submitted', 'session_action'];
+const EVENT_FIELD_CHECKS = {
+    id: (v) => /^\d+$/.test(String(v)),
+    lamports: (v) => typeof v === 'string' && /^\d+$/.test(v),
+    string: (v) => typeof v === 'string',
+    object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array: (v) => Array.isArray(v),
+};
+// Returns null when valid, otherwise a reason. Strict mode (publishing) also rejects undeclared fields.
+function validateEventPayload(type, payload, strict = false) {
+    const schema = EVENT_SCHEMAS[type];
+    if (!schema) return `unknown event type '${type}'`;
+    for (const [field, spec] of Object.entries(schema.fields)) {
+        const optional = spec.endsWith('?');
+        const value = payload[field];
+        if (value === undefined || value === null) { if (optional) continue; return `missing field '${field}'`; }
+        if (!EVENT_FIELD_CHECKS[spec.replace('?', '')](value)) return `field '${field}' is not a valid ${spec.replace('?', '')}`;
+    }
+    if (schema.anyOf && !schema.anyOf.some(f => payload[f] !== undefined && payload[f] !== null)) return `one of ${schema.anyOf.join(', ')} is required`;
+    if (strict) {
+        const extra = Object.keys(payload).find(f => !(f in schema.fields));
+        if (extra) return `undeclared field '${extra}'`;
+    }
+    return null;
+}
+async function publishEvent(queryable, type, payload) {
+    const cleanPayload = Object.fromEntries(Object.entries(payload).filter(([, v]) => v !== undefined));
+    const problem = validateEventPayload(type, cleanPayload, true);
+    if (problem) throw new Error(`Refusing to publish invalid '${type}' event: ${problem}`);
+    const { channel } = EVENT_SCHEMAS[type];
+    const outboxRes = await queryable.query(
+        "INSERT INTO helper_event_outbox (channel, event_type, version, payload, source) VALUES ($1, $2, $3, $4, $5) RETURNING event_id",
+        [channel, type, EVENT_PROTOCOL_VERSION, JSON.stringify(cleanPayload), MY_BOT_ID]
+    );
+    const eventId = outboxRes.rows[0].event_id;
+    let envelope = JSON.stringify({ v: EVENT_PROTOCOL_VERSION, event_id: eventId, type, ...cleanPayload });
+    if (Buffer.byteLength(envelope) > NOTIFY_MAX_PAYLOAD_BYTES) envelope = JSON.stringify({ v: EVENT_PROTOCOL_VERSION, event_id: eventId, type, truncated: true });
+    await queryable.query("SELECT pg_notify($1, $2)", [channel, envelope]);
+    return eventId;
+}
+// Payloads the main bot sent before the protocol existed: a whole session row, or bare ids.
+function normalizeLegacyEvent(channel, body) {
+    if (!body || typeof body !== 'object') return null;
+    if (channel === 'game_session_pickup') {
+        const session = body.session || body;
+        return { v: 0, type: 'pickup', session_id: session.session_id, main_bot_game_id: session.main_bot_game_id != null ? String(session.main_bot_game_id) : undefined, helper_bot_id: session.helper_bot_id || undefined };
+    }
+    if (channel === 'interactive_roll_submitted') return { v: 0, type: 'roll_submitted', session_id: body.session?.session_id || body.session_id, roll: body.roll };
+    if (channel === 'helper_session_action') return { v: 0, type: 'session_action', ...body };
+    return null;
+}
+// Returns { type, eventId, payload } or { error }.
+async function parseIncomingEvent(channel, rawPayload) {
+    let body;
+    try { body = JSON.parse(rawPayload); } catch (e) { return { error: 'payload is not JSON' }; }
+    if (body?.v === undefined) body = normalizeLegacyEvent(channel, body);
+    if (!body) return { error: 'unrecognised legacy payload' };
+    if (!(body.v <= EVENT_PROTOCOL_VERSION)) return { error: `unsupported protocol version ${body.v}` };
+    const { v, type, event_id: eventId = null, truncated, ...rest } = body;
+    if (EVENT_SCHEMAS[type]?.channel !== channel) return { error: `event type '${type}' does not belong on '${channel}'` };
+    let payload = Object.fromEntries(Object.entries(rest).filter(([, value]) => value !== undefined));
+    if (truncated) {
+        const outboxRes = await pool.query("SELECT payload FROM helper_event_outbox WHERE event_id = $1", [eventId]);
+        if (outboxRes.rowCount === 0) return { error: `truncated event ${eventId} is not in the outbox` };
+        payload = outboxRes.rows[0].payload;
+    }
+    const problem = validateEventPayload(type, payload);
+    if (problem) return { error: problem };
+    return { type, eventId, payload };
+}
+
+
+// --- SESSION JOURNAL ---
+// helper_session_journal is an append-only timeline of each session, kept for disputes: pickup, prompt_sent,
+// roll_received, roll_rejected, bot_roll, cash_out, timeout, refused and finalized. Every entry names the helper,
+// the actor (a user id, 'bot' or 'helper') and the correlation ID of the work that wrote it, which ties it to the
+// logs. /admin_journal <id> exports it.
+async function journalSession(queryable, sessionId, entryType, { actor = null, ...detail } = {}) {
+    await queryable.query(
+        "INSERT INTO helper_session_journal (session_id, entry_type, actor, helper_bot_id, correlation_id, detail) VALUES ($1, $2, $3, $4, $5, $6)",
+        [sessionId, entryType, actor === null ? null : String(actor), MY_BOT_ID, log.context().correlationId || null, JSON.stringify(detail)]
+    );
+}
+// Outside a transaction: a journal write that fails is logged but never stops the game.
+function journal(sessionId, entryType, detail) {
+    return journalSession(pool, sessionId, entryType, detail).catch(e => log.error('Could not write journal entry', { component: 'Journal', sessionId, entryType, err: e }));
+}
+// The game-state fields a 'finalized' entry copies, whichever of them the game mode has.
+const JOURNAL_SCORE_FIELDS = ['playerScore', 'botScore', 'p1Score', 'p2Score', 'remainingScore', 'currentMultiplier', 'checkout', 'forfeitedBy', 'timeoutRule', 'rgStop', 'results'];
+function journalPrompt(session, gameState, prompt, messageId) {
+    return journal(session.session_id, 'prompt_sent', { actor: 'helper', prompt, awaiting: gameState.currentPlayerTurn ?? null, messageId: messageId ?? null, deadline: new Date(gameState.turnDeadline).toISOString() });
+}
+async function loadSessionJournal(sessionId) {
+    const res = await pool.query("SELECT * FROM helper_session_journal WHERE session_id = $1 ORDER BY journal_id ASC", [sessionId]);
+    return res.rows;
+}
+// One line per entry: `HH:MM:SS.mmm type actor {detail}`, all times UTC.
+function renderJournalTimeline(entries) {
+    return entries.map(e => `${new Date(e.created_at).toISOString().slice(11, 23)} ${e.entry_type} ${e.actor ?? '-'} ${JSON.stringify(e.detail ?? {})}`).join('\n');
 }
-const pool = new Pool({ connectionString: DATABASE_URL, ssl: { rejectUnauthorized: false } });
-const bot = new TelegramBot(HELPER_BOT_TOKEN, { polling: { params: { allowed_updates: ["message", "callback_query"] } } });
-bot.on('polling_error', (error) => console.error(`[Helper] Polling Error: ${error.code} - ${error.message}`));
-// API Failsafe Queue: Ensures messages are sent sequentially and spaced out.
-const telegramSendQueue = new PQueue({ concurrency: 1, interval: 1500, intervalCap: 1 });
-const queuedSendMessage = (...args) => telegramSendQueue.add(() => bot.sendMessage(...args));
-const queuedSendDice = (chat_id, options) => telegramSendQueue.add(() => bot.sendDice(chat_id, options));
 
 
 // --- Performance-Based Darts 501 Challenge (Solo PvB) Game Logic ---
-// This game is unique and remains in its original format for variety.
+// The player picks a tier (301/501/701) and optionally the double-out rule before the first visit,
+// unless the main bot already set `tier` / `doubleOut` in game_state_json.
+function getDarts501Tier(tierKey) { return DARTS_501_TIERS[tierKey] || DARTS_501_TIERS[DARTS_501_DEFAULT_TIER]; }
+// Tier labels come from the tiers file; a catalog entry darts501.tier.<key> translates them.
+function getDarts501TierLabel(lang, tierKey) {
+    const key = DARTS_501_TIERS[tierKey] ? tierKey : DARTS_501_DEFAULT_TIER;
+    return translator.has(`darts501.tier.${key}`) ? tPlain(lang, `darts501.tier.${key}`) : getDarts501Tier(key).label;
+}
 async function runDarts501Challenge(session) {
     const gameState = session.game_state_json || {};
-    gameState.remainingScore = DARTS_501_START_SCORE;
+    if (gameState.tier && DARTS_501_TIERS[gameState.tier]) {
+        await startDarts501Tier(session, gameState.tier, !!gameState.doubleOut);
+        return;
+    }
+    gameState.phase = 'choosing_tier';
+    gameState.doubleOut = !!gameState.doubleOut;
+    await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
+    await showDarts501TierPicker(session.session_id);
+}
+async function showDarts501TierPicker(sessionId) {
+    const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [sessionId]);
+    if (res.rowCount === 0) return;
+    const liveSession = res.rows[0];
+    const gameState = liveSession.game_state_json;
+    const lang = await getLanguage(liveSession.chat_id, liveSession.user_id);
+    let html = t(lang, 'darts501.picker.title', { name: gameState.p1Name }) + '\n';
+    for (const [key, tier] of Object.entries(DARTS_501_TIERS)) {
+        const jackpot = tier.jackpotMultiplier * (gameState.doubleOut ? tier.doubleOutJackpotBonus : 1);
+        html += t(lang, 'darts501.picker.tier', { label: getDarts501TierLabel(lang, key), start: tier.startScore, count: tier.visitLimit, jackpot: jackpot.toFixed(2) }) + '\n';
+    }
+    html += '\n' + t(lang, gameState.doubleOut ? 'darts501.picker.double_out_on' : 'darts501.picker.double_out_off');
+    const keyboardRows = [
+        Object.keys(DARTS_501_TIERS).map(key => ({ text: `🎯 ${key}`, callback_data: `d501_tier:${sessionId}:${key}` })),
+        [{ text: tPlain(lang, gameState.doubleOut ? 'darts501.button.double_out_on' : 'darts501.button.double_out_off'), callback_data: `d501_doubleout:${sessionId}` }],
+    ];
+    const options = { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboardRows } };
+    const sentMsg = await upsertMessage(liveSession.chat_id, gameState.lastMessageId, html, options).catch(logFailure('upsertMessage'));
+    if (sentMsg && sentMsg.message_id === gameState.lastMessageId) return;
+    if (sentMsg) gameState.lastMessageId = sentMsg.message_id;
+    stampTurnDeadline(gameState);
+    await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), sessionId]);
+    await journalPrompt(liveSession, gameState, 'darts501_tier_picker', gameState.lastMessageId);
+    scheduleTurnTimers(liveSession, gameState.turnDeadline, gameState.p1Name);
+}
+async function startDarts501Tier(session, tierKey, doubleOut) {
+    const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [session.session_id]);
+    if (res.rowCount === 0) return;
+    const gameState = res.rows[0].game_state_json || {};
+    const tier = getDarts501Tier(tierKey);
+    gameState.phase = 'playing';
+    gameState.tier = DARTS_501_TIERS[tierKey] ? tierKey : DARTS_501_DEFAULT_TIER;
+    gameState.doubleOut = doubleOut;
+    gameState.remainingScore = tier.startScore;
     gameState.currentVisit = 1;
     gameState.currentMultiplier = 1.0;
     await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
@@ -82,82 +793,263 @@ async function updateDarts501Message(session, lastVisitResult = null) {
     if (res.rowCount === 0) return;
     const liveSession = res.rows[0];
     const gameState = liveSession.game_state_json;
-    if (gameState.lastMessageId) { await bot.deleteMessage(liveSession.chat_id, gameState.lastMessageId).catch(() => {}); }
 
-    const parScoreForThisStage = DARTS_501_START_SCORE - ((gameState.currentVisit - 1) * DARTS_501_PAR_SCORE_PER_VISIT);
+    const tier = getDarts501Tier(gameState.tier);
+    const parScoreForThisStage = tier.startScore - ((gameState.currentVisit - 1) * tier.parScorePerVisit);
     const scoreDifference = parScoreForThisStage - gameState.remainingScore;
     const tenPointIntervals = Math.round(scoreDifference / 10);
-    let multiplierBonus = (tenPointIntervals > 0) ? (tenPointIntervals * DARTS_501_MULTIPLIER_GAIN) : (tenPointIntervals * DARTS_501_MULTIPLIER_LOSS);
-    gameState.currentMultiplier = 1.0 + multiplierBonus;
+    let multiplierBonus = (tenPointIntervals > 0) ? (tenPointIntervals * tier.multiplierGainPer10) : (tenPointIntervals * tier.multiplierLossPer10);
+    gameState.currentMultiplier = Math.max(0, 1.0 + multiplierBonus);
     
-    const betDisplayUSD = await formatBalanceForDisplay(liveSession.bet_amount_lamports, 'USD');
+    const displayCurrency = await getDisplayCurrency(liveSession.chat_id, liveSession.user_id);
+    const lang = await getLanguage(liveSession.chat_id, liveSession.user_id);
     const currentPayout = (BigInt(liveSession.bet_amount_lamports) * BigInt(Math.floor(gameState.currentMultiplier * 100))) / 100n;
-    const currentPayoutDisplay = await formatBalanceForDisplay(currentPayout, 'USD');
+    const currentPayoutDisplay = formatBalanceForDisplay(currentPayout, displayCurrency);
 
-    let titleHTML = `🎯 <b>Darts 501 Challenge</b> | ${escape(gameState.p1Name)}\n`;
-    titleHTML += `<b>Visits Remaining: ${DARTS_501_VISIT_LIMIT - gameState.currentVisit + 1} / ${DARTS_501_VISIT_LIMIT}</b>\n\n`;
+    let titleHTML = t(lang, gameState.doubleOut ? 'darts501.board.title_double_out' : 'darts501.board.title', { start: tier.startScore, name: gameState.p1Name }) + '\n';
+    titleHTML += t(lang, 'darts501.board.visits_remaining', { remaining: tier.visitLimit - gameState.currentVisit + 1, total: tier.visitLimit }) + '\n\n';
     let bodyHTML = ``;
     if (lastVisitResult) {
-        if (lastVisitResult.isBust) { bodyHTML += `<i>Last Visit: BUST! Throws <b>[${lastVisitResult.rolls.join(', ')}]</b> exceeded score. No points deducted.</i>\n`; }
-        else { bodyHTML += `<i>Last Visit: Throws <b>[${lastVisitResult.rolls.join(', ')}]</b> scored <b>${lastVisitResult.score}</b> points!</i>\n`; }
+        const throws = lastVisitResult.rolls.join(', ');
+        if (lastVisitResult.isBust) { bodyHTML += t(lang, gameState.doubleOut ? 'darts501.board.bust_double_out' : 'darts501.board.bust', { throws }) + '\n'; }
+        else { bodyHTML += t(lang, 'darts501.board.last_visit', { throws, count: lastVisitResult.score }) + '\n'; }
     }
-    bodyHTML += `Score Remaining: <b>${gameState.remainingScore}</b>\n`;
-    bodyHTML += `Multiplier (vs Par): <b>x${gameState.currentMultiplier.toFixed(2)}</b> | Payout: <b>${escape(currentPayoutDisplay)}</b>\n\n`;
-    let promptHTML = `<i>Visit ${gameState.currentVisit}/${DARTS_501_VISIT_LIMIT}. Ready to throw?</i>`;
+    bodyHTML += t(lang, 'darts501.board.remaining', { score: gameState.remainingScore }) + '\n';
+    bodyHTML += t(lang, 'darts501.board.multiplier', { multiplier: gameState.currentMultiplier.toFixed(2), payout: currentPayoutDisplay }) + '\n\n';
+    let promptHTML = t(lang, 'darts501.board.prompt', { visit: gameState.currentVisit, total: tier.visitLimit });
     const keyboardRows = [
-        [{ text: `💰 Cash Out (${currentPayoutDisplay})`, callback_data: `interactive_cashout:${liveSession.session_id}` }],
-        [{ text: `🎯 Throw Next Visit`, callback_data: `interactive_continue:${liveSession.session_id}` }]
+        [{ text: tPlain(lang, 'darts501.button.cash_out', { payout: currentPayoutDisplay }), callback_data: `interactive_cashout:${liveSession.session_id}` }],
+        [{ text: tPlain(lang, 'darts501.button.throw'), callback_data: `interactive_continue:${liveSession.session_id}` }]
     ];
     if (gameState.currentVisit === 1) { keyboardRows.shift(); }
     
     const fullMessage = `${titleHTML}${bodyHTML}${promptHTML}`;
-    const sentMsg = await bot.sendMessage(liveSession.chat_id, fullMessage, { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboardRows } }).catch(console.error);
-    if (sentMsg) {
-        gameState.lastMessageId = sentMsg.message_id;
-        await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), liveSession.session_id]);
-    }
+    // The first board replaces the tier picker in place; later boards follow the visit's dice.
+    const sentMsg = await upsertMessage(liveSession.chat_id, gameState.lastMessageId, fullMessage, { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboardRows } }).catch(logFailure('upsertMessage'));
+    if (sentMsg) gameState.lastMessageId = sentMsg.message_id;
+    stampTurnDeadline(gameState);
+    await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), liveSession.session_id]);
+    await journalPrompt(liveSession, gameState, 'darts501_board', gameState.lastMessageId);
+    scheduleTurnTimers(liveSession, gameState.turnDeadline, gameState.p1Name);
 }
 async function handleDarts501Continue(session) {
-    await bot.deleteMessage(session.chat_id, session.game_state_json.lastMessageId).catch(() => {});
+    const gameState = session.game_state_json;
+    const tier = getDarts501Tier(gameState.tier);
+    if (gameState.lastMessageId) await queuedDeleteMessage(session.chat_id, gameState.lastMessageId).catch(logIgnored('deleteMessage'));
+    delete gameState.lastMessageId;
     
-    const dicePromises = Array.from({ length: DARTS_501_THROWS_PER_VISIT }, () => bot.sendDice(session.chat_id, { emoji: '🎯' }).catch(console.error));
+    const dicePromises = Array.from({ length: tier.throwsPerVisit }, () => queuedSendDice(session.chat_id, { emoji: '🎯' }).catch(logFailure('sendDice')));
     const diceMessages = await Promise.all(dicePromises);
 
     const rolls = diceMessages.map(msg => msg ? msg.dice.value : 1);
     if (rolls.includes(undefined) || rolls.includes(null)) { await finalizeGame(session, 'error'); return; }
 
-    const gameState = session.game_state_json;
-    const scoreThisVisit = rolls.reduce((sum, roll) => sum + (DARTS_501_POINTS_PER_ROLL[roll] || 0), 0);
-    let lastVisitResult = { rolls, score: scoreThisVisit, isBust: false };
-    const scoreAfterThrow = gameState.remainingScore - scoreThisVisit;
+    // Darts are scored one at a time: the visit ends on a checkout, and a bust voids the whole visit.
+    const pointTable = getGameDefinition(session.game_type).pointTable;
+    let remaining = gameState.remainingScore;
+    let lastVisitResult = { rolls, score: 0, isBust: false };
+    let checkedOut = false;
+    for (const roll of rolls) {
+        const after = remaining - (pointTable[roll] || 0);
+        const finishesOnDouble = DARTS_501_DOUBLE_ROLLS.has(roll);
+        if (after === 0 && (!gameState.doubleOut || finishesOnDouble)) { checkedOut = true; remaining = 0; break; }
+        if (after < 0 || after === 1 || after === 0) { lastVisitResult.isBust = true; break; }
+        remaining = after;
+    }
+    if (!lastVisitResult.isBust) {
+        lastVisitResult.score = gameState.remainingScore - remaining;
+        gameState.remainingScore = remaining;
+    }
+    (gameState.visits ||= []).push(lastVisitResult);
+    await journal(session.session_id, 'bot_roll', { actor: 'bot', values: rolls, visit: gameState.currentVisit, score: lastVisitResult.score, bust: lastVisitResult.isBust, remaining: gameState.remainingScore, messageIds: diceMessages.map(m => m?.message_id ?? null) });
 
-    if (scoreAfterThrow === 0) {
-        gameState.currentMultiplier = DARTS_501_JACKPOT_MULTIPLIER;
+    if (checkedOut) {
+        gameState.currentMultiplier = tier.jackpotMultiplier * (gameState.doubleOut ? tier.doubleOutJackpotBonus : 1);
+        gameState.checkout = { visits: gameState.currentVisit, doubleOut: gameState.doubleOut, tier: gameState.tier };
         await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
         await finalizeGame(session, 'completed_cashout');
         return;
-    } else if (scoreAfterThrow < 0 || scoreAfterThrow === 1) {
-        lastVisitResult.isBust = true;
-    } else {
-        gameState.remainingScore = scoreAfterThrow;
     }
 
     gameState.currentVisit++;
-    if (gameState.currentVisit > DARTS_501_VISIT_LIMIT) { await finalizeGame(session, 'completed_loss'); return; }
+    if (gameState.currentVisit > tier.visitLimit) { await finalizeGame(session, 'completed_loss'); return; }
     
     await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
     await updateDarts501Message(session, lastVisitResult);
 }
 
 
-// --- REVISED Turn-Based Player-vs-Bot (PvB) Game Engine (for API Limits) ---
+// --- DARTS LEADERBOARD ---
+// One row per user, tier and checkout rule, keeping their fastest checkout and biggest cash-out multiplier.
+async function recordDarts501Finish(client, session, gameState) {
+    const checkoutVisits = gameState.checkout ? gameState.checkout.visits : null;
+    await client.query(
+        `INSERT INTO darts_501_best_finishes AS t (user_id, tier, double_out, user_name, best_checkout_visits, best_checkout_session_id, best_multiplier, best_multiplier_session_id, updated_at)
+         VALUES ($1, $2, $3, $4, $5, CASE WHEN $5::INTEGER IS NULL THEN NULL ELSE $6::INTEGER END, $7, $6, NOW())
+         ON CONFLICT (user_id, tier, double_out) DO UPDATE SET
+             user_name = EXCLUDED.user_name,
+             best_checkout_session_id = CASE WHEN EXCLUDED.best_checkout_visits IS NOT NULL AND (t.best_checkout_visits IS NULL OR EXCLUDED.best_checkout_visits < t.best_checkout_visits) THEN EXCLUDED.best_checkout_session_id ELSE t.best_checkout_session_id END,
+             best_checkout_visits = CASE WHEN EXCLUDED.best_checkout_visits IS NOT NULL AND (t.best_checkout_visits IS NULL OR EXCLUDED.best_checkout_visits < t.best_checkout_visits) THEN EXCLUDED.best_checkout_visits ELSE t.best_checkout_visits END,
+             best_multiplier_session_id = CASE WHEN t.best_multiplier IS NULL OR EXCLUDED.best_multiplier > t.best_multiplier THEN EXCLUDED.best_multiplier_session_id ELSE t.best_multiplier_session_id END,
+             best_multiplier = GREATEST(t.best_multiplier, EXCLUDED.best_multiplier),
+             updated_at = NOW()`,
+        [gameState.initiatorId || session.user_id, gameState.tier || DARTS_501_DEFAULT_TIER, !!gameState.doubleOut, gameState.p1Name, checkoutVisits, session.session_id, gameState.currentMultiplier]
+    );
+}
+async function handleLeaderboardCommand(msg, match) {
+    const tierKey = DARTS_501_TIERS[match[1]] ? match[1] : DARTS_501_DEFAULT_TIER;
+    try {
+        const lang = await getLanguage(msg.chat.id, msg.from?.id, { telegramLanguage: msg.from?.language_code });
+        const fastest = await pool.query("SELECT user_name, best_checkout_visits, double_out FROM darts_501_best_finishes WHERE tier = $1 AND best_checkout_visits IS NOT NULL ORDER BY best_checkout_visits ASC, double_out DESC, updated_at ASC LIMIT 5", [tierKey]);
+        const biggest = await pool.query("SELECT user_name, best_multiplier, double_out FROM darts_501_best_finishes WHERE tier = $1 AND best_multiplier IS NOT NULL ORDER BY best_multiplier DESC, updated_at ASC LIMIT 5", [tierKey]);
+        const medal = (i) => ['🥇', '🥈', '🥉'][i] || `${i + 1}.`;
+        const dbl = (row) => row.double_out ? ` ${t(lang, 'leaderboard.double_out')}` : '';
+        let html = t(lang, 'leaderboard.title', { tier: getDarts501TierLabel(lang, tierKey) }) + '\n\n' + t(lang, 'leaderboard.fastest') + '\n';
+        html += fastest.rows.length ? fastest.rows.map((r, i) => `${medal(i)} ${t(lang, 'leaderboard.fastest_row', { name: r.user_name, count: r.best_checkout_visits })}${dbl(r)}`).join('\n') : t(lang, 'leaderboard.no_checkouts');
+        html += '\n\n' + t(lang, 'leaderboard.biggest') + '\n';
+        html += biggest.rows.length ? biggest.rows.map((r, i) => `${medal(i)} ${t(lang, 'leaderboard.biggest_row', { name: r.user_name, multiplier: Number(r.best_multiplier).toFixed(2) })}${dbl(r)}`).join('\n') : t(lang, 'leaderboard.no_cashouts');
+        html += '\n\n' + t(lang, 'leaderboard.other_boards', { boards: Object.keys(DARTS_501_TIERS).map(k => `/leaderboard ${k}`).join(' · ') });
+        await queuedSendMessage(msg.chat.id, html, { parse_mode: 'HTML' });
+    } catch (e) { log.error('Leaderboard failed', { component: 'Leaderboard', err: e }); }
+}
 
-function getPvBTotalTurns(gameType) {
-    if (gameType === 'bowling') return PVB_BOWLING_FRAMES;
-    if (gameType === 'basketball') return PVB_BASKETBALL_SHOTS;
-    if (gameType === 'darts') return PVB_DARTS_THROWS;
-    return 3;
+
+// --- GAME HISTORY & STATS ---
+// finalizeGame writes one helper_game_results row per player, so /history and /stats (and the responsible-gaming
+// loss limits) read settled results instead of re-deriving them from game_state_json.
+const HISTORY_PAGE_SIZE = 5;
+const HISTORY_OUTCOME_ICONS = { win: '✅', loss: '❌', push: '➖', cashout: '💰' };
+// Duels pay even money, a push or a void returns the stake, and a Darts 501 cash-out pays the stake times the
+// multiplier, rounded down to the cent as on the board.
+function settleResult(status, stake, { won = status === 'completed_win', lost = status === 'completed_loss', multiplier = 0 } = {}) {
+    if (status === 'completed_cashout') return { outcome: 'cashout', payout: stake * BigInt(Math.floor(multiplier * 100)) / 100n };
+    if (won) return { outcome: 'win', payout: stake * 2n };
+    if (lost) return { outcome: 'loss', payout: 0n };
+    return { outcome: 'push', payout: stake };
 }
+function buildGameResultRows(session, gameState, status) {
+    const gameType = session.game_type;
+    const gameMode = getGameMode(gameType);
+    const stake = BigInt(session.bet_amount_lamports || 0);
+    if (gameMode === GAME_MODES.GROUP) {
+        return (gameState.players || []).map(p => {
+            const result = (gameState.results || []).find(r => String(r.userId) === String(p.id));
+            let settled = settleResult(status, stake);
+            if (status === 'completed_group') {
+                const payout = BigInt(result?.payoutLamports || 0);
+                settled = { outcome: payout > stake ? 'win' : payout === stake ? 'push' : 'loss', payout };
+            }
+            return { userId: String(p.id), userName: p.name, ...settled, score: result?.score ?? calculateFinalScore(gameType, p.rolls), rounds: (p.rolls || []).map(roll => ({ roll })) };
+        });
+    }
+    if (gameMode === GAME_MODES.PVP) {
+        const p1Rolls = gameState.p1Rolls || [], p2Rolls = gameState.p2Rolls || [];
+        const p1Score = calculateFinalScore(gameType, p1Rolls), p2Score = calculateFinalScore(gameType, p2Rolls);
+        const p1Won = status === 'completed_p1_win', p2Won = status === 'completed_p2_win';
+        return [
+            { userId: String(gameState.initiatorId || session.user_id), userName: gameState.p1Name, ...settleResult(status, stake, { won: p1Won, lost: p2Won }), score: p1Score, opponentScore: p2Score, rounds: p1Rolls.map((roll, i) => ({ roll, opponentRoll: p2Rolls[i] ?? null })) },
+            { userId: String(gameState.opponentId), userName: gameState.p2Name, ...settleResult(status, stake, { won: p2Won, lost: p1Won }), score: p2Score, opponentScore: p1Score, rounds: p2Rolls.map((roll, i) => ({ roll, opponentRoll: p1Rolls[i] ?? null })) },
+        ];
+    }
+    const row = { userId: String(gameState.initiatorId || session.user_id), userName: gameState.p1Name, ...settleResult(status, stake, { multiplier: gameState.currentMultiplier }) };
+    if (gameMode === GAME_MODES.SOLO_PROGRESSIVE) {
+        return [{ ...row, multiplier: status === 'completed_cashout' ? gameState.currentMultiplier : null, rounds: gameState.visits || [] }];
+    }
+    const botRolls = gameState.botRolls || [];
+    return [{ ...row, score: gameState.playerScore ?? null, opponentScore: gameState.botScore ?? null, rounds: (gameState.playerRolls || []).map((roll, i) => ({ roll, opponentRoll: botRolls[i] ?? null })) }];
+}
+async function recordGameResults(client, session, gameState, status) {
+    const stake = BigInt(session.bet_amount_lamports || 0);
+    for (const row of buildGameResultRows(session, gameState, status)) {
+        await client.query(
+            `INSERT INTO helper_game_results (session_id, user_id, user_name, chat_id, game_type, game_mode, status, outcome, stake_lamports, payout_lamports, net_lamports, score, opponent_score, multiplier, rounds)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) ON CONFLICT (session_id, user_id) DO NOTHING`,
+            [session.session_id, row.userId, row.userName || null, session.chat_id, session.game_type, getGameMode(session.game_type), status, row.outcome,
+                stake.toString(), row.payout.toString(), (row.payout - stake).toString(), row.score ?? null, row.opponentScore ?? null, row.multiplier ?? null, JSON.stringify(row.rounds || [])]
+        );
+    }
+}
+const formatSignedBalance = (lamports, currency) => `${BigInt(lamports) > 0n ? '+' : ''}${formatBalanceForDisplay(lamports, currency)}`;
+function formatHistoryRounds(lang, result) {
+    const rounds = result.rounds || [];
+    if (rounds.length === 0) return null;
+    if (result.game_mode === GAME_MODES.SOLO_PROGRESSIVE) return rounds.map(v => (v.isBust ? tPlain(lang, 'history.bust') : v.score)).join(' · ');
+    return rounds.map(r => (r.opponentRoll === undefined ? `${r.roll}` : `${r.roll}–${r.opponentRoll ?? '·'}`)).join(' · ');
+}
+async function renderHistoryPage(lang, userId, page, currency) {
+    const res = await pool.query(
+        "SELECT * FROM helper_game_results WHERE user_id = $1 ORDER BY finished_at DESC, session_id DESC LIMIT $2 OFFSET $3",
+        [userId, HISTORY_PAGE_SIZE + 1, page * HISTORY_PAGE_SIZE]
+    );
+    if (res.rowCount === 0) return { html: t(lang, page === 0 ? 'history.empty' : 'history.no_more') };
+    const entries = res.rows.slice(0, HISTORY_PAGE_SIZE).map(r => {
+        const lines = [t(lang, 'history.entry', { id: r.session_id, emoji: getGameEmoji(r.game_type), game: getCleanGameNameHelper(r.game_type, lang), date: formatUtcTime(r.finished_at) })];
+        let outcomeLine = `${HISTORY_OUTCOME_ICONS[r.outcome] || ''} ${t(lang, `history.outcome.${r.outcome}`, { net: formatSignedBalance(r.net_lamports, currency) })}`;
+        if (r.multiplier !== null) outcomeLine += ` · x${Number(r.multiplier).toFixed(2)}`;
+        if (r.score !== null && r.opponent_score !== null) outcomeLine += ` · ${t(lang, 'history.score', { score: r.score, opponent: r.opponent_score })}`;
+        lines.push(outcomeLine);
+        const rounds = formatHistoryRounds(lang, r);
+        if (rounds) lines.push(t(lang, 'history.rounds', { rounds }));
+        return lines.join('\n');
+    });
+    const html = `${t(lang, 'history.title', { page: page + 1 })}\n\n${entries.join('\n\n')}`;
+    const buttons = [];
+    if (page > 0) buttons.push({ text: tPlain(lang, 'history.button.newer'), callback_data: `history:${userId}:${page - 1}` });
+    if (res.rowCount > HISTORY_PAGE_SIZE) buttons.push({ text: tPlain(lang, 'history.button.older'), callback_data: `history:${userId}:${page + 1}` });
+    return { html, replyMarkup: { inline_keyboard: buttons.length ? [buttons] : [] } };
+}
+async function handleHistoryCommand(msg) {
+    const userId = String(msg.from.id);
+    try {
+        const lang = await getLanguage(msg.chat.id, userId, { telegramLanguage: msg.from.language_code });
+        const { html, replyMarkup } = await renderHistoryPage(lang, userId, 0, await getDisplayCurrency(msg.chat.id, userId));
+        await queuedSendMessage(msg.chat.id, html, { parse_mode: 'HTML', reply_markup: replyMarkup });
+    } catch (e) { log.error('History failed', { component: 'History', err: e }); }
+}
+// Paging edits the /history message in place; only its owner may turn the pages.
+async function handleHistoryCallback(callbackQuery, userId, page) {
+    const fromId = String(callbackQuery.from.id);
+    const chatId = callbackQuery.message?.chat?.id;
+    const lang = await getLanguage(chatId, fromId, { telegramLanguage: callbackQuery.from.language_code });
+    if (fromId !== userId) return bot.answerCallbackQuery(callbackQuery.id, { text: tPlain(lang, 'history.not_yours') }).catch(logIgnored('answerCallbackQuery'));
+    await bot.answerCallbackQuery(callbackQuery.id).catch(logIgnored('answerCallbackQuery'));
+    if (!Number.isInteger(page) || page < 0 || !callbackQuery.message?.message_id) return;
+    try {
+        const { html, replyMarkup } = await renderHistoryPage(lang, userId, page, await getDisplayCurrency(chatId, userId));
+        await queuedEditMessageText(chatId, callbackQuery.message.message_id, html, { parse_mode: 'HTML', reply_markup: replyMarkup }).catch(logIgnored('editMessageText'));
+    } catch (e) { log.error('History paging failed', { component: 'History', err: e }); }
+}
+// Net result is shown in SOL and in the display currency (USD when that is SOL).
+async function handleStatsCommand(msg) {
+    const userId = String(msg.from.id);
+    try {
+        const lang = await getLanguage(msg.chat.id, userId, { telegramLanguage: msg.from.language_code });
+        const res = await pool.query(
+            `SELECT game_type, game_mode, COUNT(*) AS games, COUNT(*) FILTER (WHERE net_lamports > 0) AS wins, MAX(score) AS best_score,
+                    AVG(multiplier) FILTER (WHERE outcome = 'cashout') AS avg_multiplier, SUM(net_lamports) AS net_lamports
+             FROM helper_game_results WHERE user_id = $1 GROUP BY game_type, game_mode ORDER BY COUNT(*) DESC, game_type`,
+            [userId]
+        );
+        if (res.rowCount === 0) return queuedSendMessage(msg.chat.id, t(lang, 'stats.empty'), { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+        const name = msg.from.username ? `@${msg.from.username}` : (msg.from.first_name || tPlain(lang, 'common.player'));
+        const lines = res.rows.map(r => {
+            const games = parseInt(r.games, 10), wins = parseInt(r.wins, 10);
+            let line = `${getGameEmoji(r.game_type)} ${t(lang, 'stats.win_rate', { game: getCleanGameNameHelper(r.game_type, lang), wins, count: games, rate: Math.round((wins / games) * 100) })}`;
+            if (r.game_mode === GAME_MODES.SOLO_PROGRESSIVE && r.avg_multiplier !== null) line += ` · ${t(lang, 'stats.avg_multiplier', { multiplier: Number(r.avg_multiplier).toFixed(2) })}`;
+            if (r.game_mode === GAME_MODES.PVP && r.best_score !== null) line += ` · ${t(lang, 'stats.best_score', { score: r.best_score })}`;
+            return line;
+        });
+        const net = res.rows.reduce((sum, r) => sum + BigInt(r.net_lamports), 0n);
+        const currency = await getDisplayCurrency(msg.chat.id, userId);
+        const sol = formatSignedBalance(net, 'SOL');
+        const fiat = formatSignedBalance(net, currency === 'SOL' ? 'USD' : currency);
+        const html = `${t(lang, 'stats.title', { name })}\n\n${lines.join('\n')}\n\n${t(lang, fiat === sol ? 'stats.net_sol' : 'stats.net', { sol, fiat })}`;
+        await queuedSendMessage(msg.chat.id, html, { parse_mode: 'HTML' });
+    } catch (e) { log.error('Stats failed', { component: 'Stats', err: e }); }
+}
+
+
+// --- REVISED Turn-Based Player-vs-Bot (PvB) Game Engine (for API Limits) ---
 
 // Starts the game and calls the message updater for the first time.
 // in helper_bot.js - REPLACE this function
@@ -169,48 +1061,61 @@ async function runPvBGame(session) {
     gameState.botRolls = [];
     gameState.currentTurn = 1;
     gameState.lastRoundResult = null; // Initialize last round result
+    if (isProvablyFairRequested(gameState)) await commitFairnessSeed(session, gameState);
 
     // Save the initialized state to the database
     await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
     
     // Create the initial game board message to prompt the user for Round 1
-    const gameName = getCleanGameNameHelper(session.game_type);
-    const betDisplay = await formatBalanceForDisplay(session.bet_amount_lamports, 'USD');
-    const introText = `🔥🏀 <b>${escape(gameName)} vs. The Bot</b> 🏀🔥\n\nWager: <b>${escape(betDisplay)}</b>\n`;
+    const lang = await getLanguage(session.chat_id, session.user_id);
+    const gameName = getCleanGameNameHelper(session.game_type, lang);
+    const betDisplay = formatBalanceForDisplay(session.bet_amount_lamports, await getDisplayCurrency(session.chat_id, session.user_id));
+    let introText = t(lang, 'pvb.title', { game: gameName }) + '\n\n' + t(lang, 'pvb.wager', { amount: betDisplay }) + '\n';
+    if (gameState.fairness) {
+        introText += t(lang, 'pvb.fairness', { hash: gameState.fairness.serverSeedHash, clientSeed: gameState.fairness.clientSeed }) + '\n';
+    }
     
     await updatePvBGameBoard(session.session_id, introText);
 }
 
 // The new central function for sending and editing the Game Board message.
 async function updatePvBGameBoard(sessionId, introText = null) {
-    const logPrefix = `[UpdatePvBBoardV3 SID:${sessionId}]`;
+    const logger = log.child({ component: 'PvBBoard', sessionId });
     let client = null;
     try {
         client = await pool.connect();
         const res = await client.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [sessionId]);
         if (res.rowCount === 0) {
-            console.warn(`${logPrefix} Session not found, cannot update board.`);
+            logger.warn('Session not found, cannot update board');
             return;
         }
 
         const session = res.rows[0];
         const gameState = session.game_state_json;
-        const totalTurns = getPvBTotalTurns(session.game_type);
+        const totalTurns = getTurnsPerPlayer(session.game_type);
         const emoji = getGameEmoji(session.game_type);
-        const gameName = getCleanGameNameHelper(session.game_type);
-        const playerRef = escape(gameState.p1Name || "Player");
+        const lang = await getLanguage(session.chat_id, session.user_id);
+        const gameName = getCleanGameNameHelper(session.game_type, lang);
+        const playerName = gameState.p1Name || tPlain(lang, 'common.player');
 
         // Build the message content with visuals
-        let messageHTML = introText || `🔥🏀 <b>${escape(gameName)} vs. The Bot</b> 🏀🔥\n\n`;
+        let messageHTML = introText || t(lang, 'pvb.title', { game: gameName }) + '\n\n';
 
-        // Display the results from the last round if they exist
-        if (gameState.lastRoundResult) {
-            messageHTML += `<i>Last Round: ${gameState.lastRoundResult}</i>\n\n`;
+        // Display the results from the last round if they exist. Older sessions stored it as a ready-made string.
+        const lastRound = gameState.lastRoundResult;
+        if (lastRound) {
+            const lastRoundHTML = typeof lastRound === 'string' ? lastRound : t(lang, 'pvb.last_round_result', {
+                player: formatScoreLabel(lang, lastRound.player), playerRoll: lastRound.player.roll,
+                bot: formatScoreLabel(lang, lastRound.bot), botRoll: lastRound.bot.roll,
+            });
+            messageHTML += t(lang, 'pvb.last_round', { result: rawHtml(lastRoundHTML) }) + '\n\n';
         }
 
-        messageHTML += `--- <b>Round ${gameState.currentTurn} of ${totalTurns}</b> ---\n`;
-        messageHTML += `<b>Score:</b> ${playerRef} <b>${gameState.playerScore}</b> - <b>${gameState.botScore}</b> Bot 🤖\n\n`;
-        messageHTML += `It's your turn, <b>${playerRef}</b>! Send a ${emoji} emoji **in this chat** to take your shot.`;
+        messageHTML += t(lang, 'pvb.round', { round: gameState.currentTurn, total: totalTurns }) + '\n';
+        messageHTML += t(lang, 'pvb.score', { name: playerName, playerScore: gameState.playerScore, botScore: gameState.botScore }) + '\n';
+        messageHTML += `${escape(playerName)}: ${formatScoreCardHelper(session.game_type, gameState.playerRolls)}\n`;
+        messageHTML += `${t(lang, 'pvb.bot')}: ${formatScoreCardHelper(session.game_type, gameState.botRolls)}\n\n`;
+        messageHTML += t(lang, 'pvb.your_turn', { name: playerName, emoji });
 
         const options = { parse_mode: 'HTML' };
         
@@ -218,12 +1123,14 @@ async function updatePvBGameBoard(sessionId, introText = null) {
         const newMsg = await queuedSendMessage(session.chat_id, messageHTML, options);
 
         // Save the ID of this new message so it can be deleted before the next round's message
-        if (newMsg) {
-            gameState.gameBoardMessageId = newMsg.message_id;
-            await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), sessionId]);
-        }
+        if (newMsg) gameState.gameBoardMessageId = newMsg.message_id;
+        gameState.awaitingRoll = true;
+        stampTurnDeadline(gameState);
+        await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), sessionId]);
+        await journalPrompt(session, gameState, 'pvb_round', gameState.gameBoardMessageId);
+        scheduleTurnTimers(session, gameState.turnDeadline, playerName);
     } catch (error) {
-        console.error(`${logPrefix} Error updating game board: ${error.message}`);
+        logger.error('Error updating game board', { err: error });
     } finally {
         if (client) client.release();
     }
@@ -233,45 +1140,58 @@ async function updatePvBGameBoard(sessionId, introText = null) {
 // The rewritten turn handler with message editing and the requested delay.
 async function handlePvBRoll(session, playerRollValue) {
     const { chat_id, game_type, game_state_json: gameState, session_id } = session;
-    const emoji = getGameEmoji(game_type);
-    const logPrefix = `[HandlePvBRollV3 SID:${session_id}]`;
+    const gameDef = getGameDefinition(game_type);
+    const emoji = gameDef.emoji;
+    const logger = sessionLog(session, 'PvBRoll');
 
     try {
         // 1. Delete the "prompt" message for the round that just finished
         if (gameState.gameBoardMessageId) {
-            await bot.deleteMessage(chat_id, gameState.gameBoardMessageId).catch(() => {});
+            await queuedDeleteMessage(chat_id, gameState.gameBoardMessageId).catch(logIgnored('deleteMessage'));
         }
 
         // 2. Bot takes its shot VISIBLY, immediately after the player's emoji is processed.
-        const botDiceMessage = await queuedSendDice(chat_id, { emoji });
-        if (!botDiceMessage || !botDiceMessage.dice) {
-            throw new Error("Failed to send bot's dice roll message.");
+        // In provably-fair mode the roll comes from the committed seed and is announced as text.
+        let botDiceMessage, botRollValue;
+        if (gameState.fairness) {
+            botRollValue = await deriveSessionBotRoll(session_id, gameState, gameState.currentTurn);
+            const lang = await getLanguage(chat_id, session.user_id);
+            botDiceMessage = await queuedSendMessage(chat_id, t(lang, 'pvb.fair_bot_throw', { emoji, roll: botRollValue, round: gameState.currentTurn }), { parse_mode: 'HTML' });
+        } else {
+            botDiceMessage = await queuedSendDice(chat_id, { emoji });
+            if (!botDiceMessage || !botDiceMessage.dice) {
+                throw new Error("Failed to send bot's dice roll message.");
+            }
+            botRollValue = botDiceMessage.dice.value;
         }
-        const botRollValue = botDiceMessage.dice.value;
+        await journal(session_id, 'bot_roll', { actor: 'bot', value: botRollValue, round: gameState.currentTurn, messageId: botDiceMessage?.message_id ?? null, fair: Boolean(gameState.fairness) });
 
         // 3. Wait for the bot's dice animation to finish.
-        await sleep(2500);
+        await sleep(PVB_BOT_ROLL_DELAY_MS);
         
         // 4. Clean up the bot's dice message.
-        if (botDiceMessage) await bot.deleteMessage(chat_id, botDiceMessage.message_id).catch(() => {});
+        if (botDiceMessage) await queuedDeleteMessage(chat_id, botDiceMessage.message_id).catch(logIgnored('deleteMessage'));
 
-        // 5. Calculate points for this round.
-        let playerResultPoints = (playerRollValue >= 4) ? 1 : 0;
-        let botResultPoints = (botRollValue >= 3) ? 1 : 0;
-
-        // 6. Update the game state in memory.
+        // 5. Update the game state in memory.
         gameState.playerRolls.push(playerRollValue);
         gameState.botRolls.push(botRollValue);
-        gameState.playerScore += playerResultPoints;
-        gameState.botScore += botResultPoints;
+
+        // 6. Re-score both cards from scratch; strike and streak bonuses can change earlier rounds.
+        const playerCard = gameDef.scoreCard(gameState.playerRolls);
+        const botCard = gameDef.scoreCard(gameState.botRolls);
+        gameState.playerScore = playerCard.total;
+        gameState.botScore = botCard.total;
         
-        // 7. Create the result summary string to be included in the next prompt.
-        const playerShotResult = playerResultPoints > 0 ? "You scored!" : "You missed.";
-        const botShotResult = botResultPoints > 0 ? "Bot scores." : "Bot missed.";
-        gameState.lastRoundResult = `${playerShotResult} (${playerRollValue}) | ${botShotResult} (${botRollValue})`;
+        // 7. Keep the round's labels for the next prompt, which renders them in the player's language.
+        const playerEntry = playerCard.entries[playerCard.entries.length - 1];
+        const botEntry = botCard.entries[botCard.entries.length - 1];
+        gameState.lastRoundResult = {
+            player: { label: playerEntry.label, labelParams: playerEntry.labelParams, roll: playerRollValue },
+            bot: { label: botEntry.label, labelParams: botEntry.labelParams, roll: botRollValue },
+        };
 
         // 8. Check if the game is over.
-        const totalTurns = getPvBTotalTurns(game_type);
+        const totalTurns = gameDef.turns;
         const isGameOver = (gameState.currentTurn >= totalTurns);
 
         // 9. Proceed to the next state.
@@ -283,60 +1203,122 @@ async function handlePvBRoll(session, playerRollValue) {
             await updatePvBGameBoard(session.session_id); // This will now post the new combined message for the next round.
         }
     } catch (error) {
-        console.error(`${logPrefix} Error during bot's turn: ${error.message}. Finalizing game with error state.`);
+        logger.error("Error during bot's turn; finalizing with error state", { err: error });
         await finalizeGame(session, 'error', gameState);
     }
 }
 
 
+// --- PROVABLY-FAIR BOT ROLLS ---
+// runPvBGame commits to a secret server seed by publishing its SHA-256 hash. Each bot roll is
+// HMAC-SHA256(serverSeed, `${clientSeed}:${round}`); finalizeGame reveals the seed in the final
+// state so anyone can recompute every round with verifyProvablyFairGame.
+function isProvablyFairRequested(gameState) {
+    if (typeof gameState.provablyFair === 'boolean') return gameState.provablyFair;
+    return PVB_PROVABLY_FAIR;
+}
+function hashServerSeed(serverSeed) { return crypto.createHash('sha256').update(serverSeed).digest('hex'); }
+function deriveFairRoll(serverSeed, clientSeed, round, diceFaces, houseEdge) {
+    const digest = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${round}`).digest();
+    const uniform = digest.readUInt32BE(0) / 0x100000000;
+    const skewed = Math.pow(uniform, 1 - houseEdge);
+    return Math.min(diceFaces, Math.floor(skewed * diceFaces) + 1);
+}
+// The seed lives in its own table until the game ends, so it is never readable from game_state_json mid-game.
+async function commitFairnessSeed(session, gameState) {
+    const serverSeed = crypto.randomBytes(32).toString('hex');
+    await pool.query(
+        "INSERT INTO pvb_fairness_seeds (session_id, server_seed) VALUES ($1, $2) ON CONFLICT (session_id) DO UPDATE SET server_seed = EXCLUDED.server_seed, created_at = NOW()",
+        [session.session_id, serverSeed]
+    );
+    gameState.fairness = {
+        algorithm: 'HMAC-SHA256(serverSeed, clientSeed:round)',
+        serverSeedHash: hashServerSeed(serverSeed),
+        clientSeed: String(gameState.clientSeed || `${session.user_id}:${session.session_id}`),
+        houseEdge: PVB_HOUSE_EDGE,
+        diceFaces: getGameDefinition(session.game_type).diceFaces,
+    };
+}
+async function deriveSessionBotRoll(sessionId, gameState, round) {
+    const res = await pool.query("SELECT server_seed FROM pvb_fairness_seeds WHERE session_id = $1", [sessionId]);
+    if (res.rowCount === 0) throw new Error("Provably-fair seed is missing for this session.");
+    const { clientSeed, diceFaces, houseEdge } = gameState.fairness;
+    return deriveFairRoll(res.rows[0].server_seed, clientSeed, round, diceFaces, houseEdge);
+}
+// Recomputes every bot roll from a finished game's state. Works on any copy of game_state_json.
+function verifyProvablyFairGame(gameState) {
+    const fairness = gameState?.fairness;
+    if (!fairness || !fairness.serverSeed) return { verifiable: false, reason: "The server seed has not been revealed yet." };
+    const hashMatches = hashServerSeed(fairness.serverSeed) === fairness.serverSeedHash;
+    const rounds = (gameState.botRolls || []).map((recorded, i) => {
+        const expected = deriveFairRoll(fairness.serverSeed, fairness.clientSeed, i + 1, fairness.diceFaces, fairness.houseEdge);
+        return { round: i + 1, recorded, expected, match: recorded === expected };
+    });
+    return { verifiable: true, hashMatches, rounds, valid: hashMatches && rounds.every(r => r.match) };
+}
+
+
 // --- GAME ENGINE & STATE MACHINE ---
 async function handleGameStart(session) {
-    const logPrefix = `[HandleStart SID:${session.session_id}]`;
-    console.log(`${logPrefix} Initializing game: ${session.game_type}`);
+    const logger = sessionLog(session, 'GameStart');
+    logger.info('Initializing game');
     let client = null;
     try {
+        const refusal = await checkSessionRgLimits(session);
+        if (refusal) { await refuseGameStart(session, refusal); return; }
         client = await pool.connect();
         await client.query('BEGIN');
-        const updateRes = await client.query("UPDATE interactive_game_sessions SET status = 'in_progress', helper_bot_id = $1 WHERE session_id = $2 AND status = 'pending_pickup' RETURNING *", [MY_BOT_ID, session.session_id]);
-        if (updateRes.rowCount === 0) { await client.query('ROLLBACK'); console.log(`${logPrefix} Game already picked up. Aborting.`); return; }
+        const updateRes = await client.query("UPDATE interactive_game_sessions SET status = 'in_progress', helper_bot_id = $1, lease_expires_at = NOW() + $3 * INTERVAL '1 millisecond' WHERE session_id = $2 AND status = 'pending_pickup' RETURNING *", [MY_BOT_ID, session.session_id, SESSION_LEASE_TTL_MS]);
+        if (updateRes.rowCount === 0) { await client.query('ROLLBACK'); logger.info('Game already picked up, aborting'); return; }
+        myActiveSessionCount++;
         
         const liveSession = updateRes.rows[0];
         const gameState = liveSession.game_state_json || {};
         const gameType = liveSession.game_type;
+        const gameMode = getGameMode(gameType);
+        delete gameState.awaitingStakes;
         
         gameState.p1Name = gameState.initiatorName || "Player 1";
         gameState.currentPlayerTurn = String(gameState.initiatorId || liveSession.user_id);
-        if (gameType.includes('_pvp')) {
+        if (gameMode === GAME_MODES.PVP) {
             gameState.p2Name = gameState.opponentName || "Player 2";
             gameState.p1Rolls = []; gameState.p1Score = 0;
             gameState.p2Rolls = []; gameState.p2Score = 0;
+        } else if (gameMode === GAME_MODES.GROUP) {
+            gameState.phase = 'lobby';
+            gameState.players = [{ id: gameState.currentPlayerTurn, name: gameState.p1Name, rolls: [], forfeited: false }];
         }
         
         await client.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), liveSession.session_id]);
         
-        const notifyPayload = JSON.stringify({ session: liveSession });
-        await client.query(`NOTIFY game_session_pickup, '${notifyPayload}'`);
+        await publishEvent(client, 'pickup', { session_id: liveSession.session_id, main_bot_game_id: liveSession.main_bot_game_id != null ? String(liveSession.main_bot_game_id) : undefined, helper_bot_id: MY_BOT_ID });
+        await journalSession(client, liveSession.session_id, 'pickup', { actor: 'helper', gameType, stakeLamports: String(liveSession.bet_amount_lamports), initiatorId: gameState.currentPlayerTurn, opponentId: gameState.opponentId ?? null });
         await client.query('COMMIT');
+        incrementMetric('helper_games_started_total', { game_type: gameType });
+        await startRgPlay(liveSession).catch(e => logger.error('Reality check failed', { err: e }));
 
-        // --- Game Type Routing ---
-        if (gameType === 'darts_501') {
-            await runDarts501Challenge(liveSession);
-        } else if (['bowling', 'basketball', 'darts'].includes(gameType)) {
-            await runPvBGame(liveSession);
-        } else if (gameType.includes('_pvp')) {
-            await advancePvPGameState(liveSession.session_id);
+        // --- Game Mode Routing ---
+        const runGame = GAME_MODE_RUNNERS[gameMode];
+        if (runGame) {
+            await runGame(liveSession);
         } else {
-            console.error(`${logPrefix} Unknown game type to start: ${gameType}`);
+            logger.error('Unknown game type to start');
             await finalizeGame(liveSession, 'error');
         }
-    } catch (e) { if (client) await client.query('ROLLBACK'); console.error(`${logPrefix} Error initializing game: ${e.message}`); } finally { if (client) client.release(); }
+    } catch (e) { if (client) await client.query('ROLLBACK').catch(logIgnored('rollback')); logger.error('Error initializing game', { err: e }); } finally { if (client) client.release(); }
 }
+const GAME_MODE_RUNNERS = {
+    [GAME_MODES.SOLO_PROGRESSIVE]: (session) => runDarts501Challenge(session),
+    [GAME_MODES.PVB]: (session) => runPvBGame(session),
+    [GAME_MODES.PVP]: (session) => advancePvPGameState(session.session_id),
+    [GAME_MODES.GROUP]: (session) => postGroupLobby(session.session_id),
+};
 async function advancePvPGameState(sessionId) {
     const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1 FOR UPDATE", [sessionId]);
     if (res.rowCount === 0 || res.rows[0].status !== 'in_progress') return;
     const session = res.rows[0];
     const gameState = session.game_state_json || {};
-    const shotsPerPlayer = getShotsPerPlayer(session.game_type);
+    const shotsPerPlayer = getTurnsPerPlayer(session.game_type);
     const p1_done = (gameState.p1Rolls || []).length >= shotsPerPlayer;
     const p2_done = (gameState.p2Rolls || []).length >= shotsPerPlayer;
     if (p1_done && p2_done) { await finalizeGame(session, 'pvp_resolve'); return; }
@@ -347,39 +1329,65 @@ async function advancePvPGameState(sessionId) {
 async function promptPvPAction(session, gameState) {
     const { chat_id, game_type } = session;
     const { p1Name, p2Name, p1Rolls, p2Rolls, currentPlayerTurn, initiatorId } = gameState;
-    const gameName = getCleanGameNameHelper(game_type);
+    // The prompt is read by both players and any spectators, so the chat's language wins over the initiator's.
+    const lang = await getLanguage(chat_id, initiatorId, { shared: true });
+    const gameName = getCleanGameNameHelper(game_type, lang);
     const emoji = getGameEmoji(game_type);
-    const shotsPerPlayer = getShotsPerPlayer(game_type);
+    const shotsPerPlayer = getTurnsPerPlayer(game_type);
     const p1Score = calculateFinalScore(game_type, p1Rolls);
     const p2Score = calculateFinalScore(game_type, p2Rolls);
     const nextPlayerName = (String(currentPlayerTurn) === String(initiatorId)) ? p1Name : p2Name;
     const nextPlayerRolls = (String(currentPlayerTurn) === String(initiatorId)) ? (p1Rolls || []) : (p2Rolls || []);
-    let scoreBoardHTML = `<b>${p1Name}:</b> ${formatRollsHelper(p1Rolls || [])} ➠ Score: <b>${p1Score}</b>\n` + `<b>${p2Name}:</b> ${formatRollsHelper(p2Rolls || [])} ➠ Score: <b>${p2Score}</b>`;
-    let messageHTML = `⚔️ <b>${gameName}</b> ⚔️\n\n${scoreBoardHTML}\n\n` + `It's your turn, <b>${nextPlayerName}</b>! Send a ${emoji} **in this chat** to roll (Roll ${nextPlayerRolls.length + 1} of ${shotsPerPlayer}).`;
-    await queuedSendMessage(chat_id, messageHTML, { parse_mode: 'HTML' });
+    let scoreBoardHTML = t(lang, 'pvp.score_line', { name: p1Name, card: rawHtml(formatScoreCardHelper(game_type, p1Rolls)), score: p1Score }) + '\n'
+        + t(lang, 'pvp.score_line', { name: p2Name, card: rawHtml(formatScoreCardHelper(game_type, p2Rolls)), score: p2Score });
+    let messageHTML = t(lang, 'pvp.title', { game: gameName }) + `\n\n${scoreBoardHTML}\n\n` + t(lang, 'turn.roll_prompt', { name: nextPlayerName, emoji, roll: nextPlayerRolls.length + 1, total: shotsPerPlayer });
+    const options = { parse_mode: 'HTML' };
+    // Side betting is open until the first roll of the duel arrives.
+    if (!gameState.sideBetsLocked && (p1Rolls || []).length === 0 && (p2Rolls || []).length === 0) {
+        gameState.sideBetsOpen = true;
+        messageHTML += '\n\n' + t(lang, 'sidebets.open');
+        options.reply_markup = { inline_keyboard: buildSideBetKeyboard(lang, session.session_id, p1Name, p2Name) };
+    }
+    const promptMsg = await queuedSendMessage(chat_id, messageHTML, options).catch(logFailure('sendMessage'));
+    if (promptMsg) gameState.lastPromptMessageId = promptMsg.message_id;
+    gameState.awaitingRoll = true;
+    stampTurnDeadline(gameState);
+    await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
+    await journalPrompt(session, gameState, 'pvp_turn', gameState.lastPromptMessageId);
+    scheduleTurnTimers(session, gameState.turnDeadline, nextPlayerName);
 }
-async function handleRollSubmitted(session, lastRoll) {
+async function handleRollSubmitted(session, lastRoll, rollMeta = null) {
     if (session.status !== 'in_progress') return;
     const gameState = session.game_state_json || {};
+    const rejection = validateSubmittedRoll(session, gameState, lastRoll, rollMeta) || (!await claimSubmittedRoll(session, gameState) && 'not_awaiting_roll');
+    if (rejection) { await rejectSubmittedRoll(session, gameState, lastRoll, rollMeta, rejection); return; }
+    clearTurnTimers(session.session_id);
+    await journal(session.session_id, 'roll_received', { actor: rollMeta?.from_id ?? gameState.currentPlayerTurn ?? null, value: lastRoll, messageId: rollMeta?.message_id ?? null });
+    if (gameState.promptSentAt) observeMetric('helper_turn_latency_seconds', { game_type: session.game_type }, (Date.now() - gameState.promptSentAt) / 1000);
 
-    if (session.game_type.includes('_pvp')) {
+    const gameMode = getGameMode(session.game_type);
+    if (gameMode === GAME_MODES.PVP) {
+        if (gameState.sideBetsOpen) await lockSideBets(session, gameState);
         const playerKey = (String(gameState.initiatorId) === gameState.currentPlayerTurn) ? 'p1' : 'p2';
         if (!gameState[`${playerKey}Rolls`]) gameState[`${playerKey}Rolls`] = [];
         gameState[`${playerKey}Rolls`].push(lastRoll);
         await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
         await advancePvPGameState(session.session_id);
-    } else if (['bowling', 'basketball', 'darts'].includes(session.game_type)) {
+    } else if (gameMode === GAME_MODES.GROUP) {
+        const player = (gameState.players || []).find(p => String(p.id) === String(gameState.currentPlayerTurn));
+        if (gameState.phase !== 'playing' || !player) return;
+        player.rolls.push(lastRoll);
+        await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
+        await advanceGroupGameState(session.session_id);
+    } else if (gameMode === GAME_MODES.PVB) {
         await handlePvBRoll(session, lastRoll);
     }
 }
 async function finalizeGame(session, finalStatus, updatedGameState = null) {
     const sessionId = session.session_id;
-    const logPrefix = `[FinalizeGame_V5_Silent SID:${sessionId}]`;
+    const logger = sessionLog(session, 'Finalize');
 
-    if (activeTurnTimeouts.has(sessionId)) { 
-        clearTimeout(activeTurnTimeouts.get(sessionId));
-        activeTurnTimeouts.delete(sessionId); 
-    }
+    clearTurnTimers(sessionId);
     
     let client = null;
     try {
@@ -397,27 +1405,24 @@ async function finalizeGame(session, finalStatus, updatedGameState = null) {
         let dbStatus = finalStatus;
         
         if (finalStatus === 'pvb_resolve') {
-            const { p1Name, playerScore, botScore } = gameState;
-            let resultText = '';
-            if ((liveSession.game_type === 'bowling' || liveSession.game_type === 'darts') && playerScore === botScore) {
-                dbStatus = 'completed_loss';
-                resultText = `It's a draw, so the House wins. Better luck next time!`;
-            } else if (liveSession.game_type === 'basketball' && playerScore === botScore) {
-                dbStatus = 'completed_push';
-                resultText = `It's a draw! Your wager has been returned.`;
-            } else if (playerScore > botScore) {
-                dbStatus = 'completed_win';
-                resultText = `Congratulations, <b>${escape(p1Name)}</b>, you win!`;
-            } else {
-                dbStatus = 'completed_loss';
-                resultText = `The Bot wins the duel.`;
-            }
-            let finalMsg = `--- 🏁 <b>Game Over</b> 🏁 ---\n\n`;
-            finalMsg += `<b>Final Score:</b> ${escape(p1Name)} <b>${playerScore}</b> - <b>${botScore}</b> Bot\n\n`;
-            finalMsg += `${resultText}`;
-            // The main bot now sends the final result message, so the helper does not.
-            // await queuedSendMessage(liveSession.chat_id, finalMsg, {parse_mode: 'HTML'});
-            // await sleep(1000);
+            // The main bot sends the final result message, so the helper only decides the status.
+            const { playerScore, botScore } = gameState;
+            const tieRule = getGameDefinition(liveSession.game_type).tieRule;
+            if (playerScore === botScore && tieRule === 'push') dbStatus = 'completed_push';
+            else dbStatus = playerScore > botScore ? 'completed_win' : 'completed_loss';
+        } else if (finalStatus === 'pvp_forfeit') {
+            // The idle player forfeits; the opponent takes the pot regardless of the rolls so far.
+            gameState.p1Score = calculateFinalScore(liveSession.game_type, gameState.p1Rolls);
+            gameState.p2Score = calculateFinalScore(liveSession.game_type, gameState.p2Rolls);
+            gameState.forfeitedBy = gameState.timedOutPlayerId;
+            dbStatus = (String(gameState.timedOutPlayerId) === String(gameState.initiatorId)) ? 'completed_p2_win' : 'completed_p1_win';
+        } else if (finalStatus === 'group_resolve') {
+            gameState.results = rankGroupPlayers(liveSession.game_type, gameState.players, BigInt(liveSession.bet_amount_lamports));
+            dbStatus = gameState.results.some(r => !r.forfeited) ? 'completed_group' : 'completed_timeout';
+        } else if (finalStatus === 'group_cancelled') {
+            // The lobby never filled: everyone who joined gets their stake back.
+            gameState.results = (gameState.players || []).map(p => ({ userId: String(p.id), name: p.name, score: 0, rank: null, forfeited: false, payoutShare: null, payoutLamports: String(liveSession.bet_amount_lamports) }));
+            dbStatus = 'completed_cancelled';
         } else if (finalStatus === 'pvp_resolve') {
             const p1Score = calculateFinalScore(liveSession.game_type, gameState.p1Rolls);
             const p2Score = calculateFinalScore(liveSession.game_type, gameState.p2Rolls);
@@ -433,121 +1438,1891 @@ async function finalizeGame(session, finalStatus, updatedGameState = null) {
         }
 
         gameState.finalStatus = dbStatus;
+        if (getGameMode(liveSession.game_type) === GAME_MODES.SOLO_PROGRESSIVE && dbStatus === 'completed_cashout') {
+            await recordDarts501Finish(client, liveSession, gameState);
+        }
+        if (getGameMode(liveSession.game_type) === GAME_MODES.PVP) {
+            // A timeout forfeit that still has a winner settles like any other win.
+            const hasWinner = ['completed_p1_win', 'completed_p2_win'].includes(dbStatus);
+            const refundReason = ['refund', 'void'].includes(gameState.adminAction?.command) ? 'admin' : (gameState.timeoutRule && !hasWinner ? 'timeout' : null);
+            await settleSpectatorBets(client, liveSession, dbStatus, refundReason);
+        }
+        if (gameState.fairness && !gameState.fairness.serverSeed) {
+            const seedRes = await client.query("SELECT server_seed FROM pvb_fairness_seeds WHERE session_id = $1", [sessionId]);
+            if (seedRes.rowCount > 0) gameState.fairness.serverSeed = seedRes.rows[0].server_seed;
+        }
         
         // Delete the final game board message from the helper.
         if (gameState.gameBoardMessageId) {
-            bot.deleteMessage(liveSession.chat_id, gameState.gameBoardMessageId).catch(() => {});
+            queuedDeleteMessage(liveSession.chat_id, gameState.gameBoardMessageId).catch(logIgnored('deleteMessage'));
         } else if (gameState.lastPromptMessageId) { // Fallback for older state
-             bot.deleteMessage(liveSession.chat_id, gameState.lastPromptMessageId).catch(() => {});
+             queuedDeleteMessage(liveSession.chat_id, gameState.lastPromptMessageId).catch(logIgnored('deleteMessage'));
         }
         
         await client.query("UPDATE interactive_game_sessions SET status = $1, game_state_json = $2 WHERE session_id = $3", [dbStatus, JSON.stringify(gameState), sessionId]);
-        await client.query(`NOTIFY game_completed, '${JSON.stringify({ session_id: sessionId })}'`);
+        await recordGameResults(client, liveSession, gameState, dbStatus);
+        await journalSession(client, sessionId, 'finalized', {
+            actor: gameState.adminAction ? gameState.adminAction.adminId : 'helper', requested: finalStatus, status: dbStatus,
+            ...Object.fromEntries(JOURNAL_SCORE_FIELDS.filter(f => gameState[f] !== undefined).map(f => [f, gameState[f]])),
+            ...(gameState.adminAction ? { adminAction: gameState.adminAction } : {}),
+        });
+        await publishEvent(client, 'completed', { session_id: sessionId, status: dbStatus });
+        if (['completed_cancelled', 'completed_expired'].includes(dbStatus)) await publishEvent(client, 'cancelled', { session_id: sessionId, reason: dbStatus });
         await client.query('COMMIT');
+        myActiveSessionCount = Math.max(0, myActiveSessionCount - 1);
+        incrementMetric('helper_games_finalized_total', { game_type: liveSession.game_type, status: dbStatus });
+
+        if (gameState.tournamentId) {
+            advanceTournament(gameState.tournamentId).catch(e => logger.error('Error advancing tournament', { tournamentId: gameState.tournamentId, err: e }));
+        } else if (finalStatus !== 'error' && !gameState.adminAction && REMATCH_GAME_MODES.includes(getGameMode(liveSession.game_type))) {
+            postRematchCard(liveSession, gameState).catch(e => logger.error('Error posting rematch card', { err: e }));
+        }
         
     } catch (e) { 
         if(client) await client.query('ROLLBACK'); 
-        console.error(`${logPrefix} Error: ${e.message}`); 
+        logger.error('Error finalizing game', { err: e });
     } finally { 
         if(client) client.release(); 
     }
 }
 
 
+// --- SPECTATOR SIDE BETS (PVP) ---
+// Before the first roll, promptPvPAction shows "Back P1 / Back P2" buttons. Bets are recorded in
+// helper_spectator_bets and lock with the first roll. The main bot debits the stake on 'spectator_bet_placed'
+// and confirms with `UPDATE helper_spectator_bets SET debited_at = NOW() WHERE bet_id = $1 AND status = 'open'`.
+// finalizeGame settles only confirmed bets, pari-mutuel: winners split the whole pool minus the house cut pro
+// rata. A push, a timeout with no winner or a one-sided book refunds every confirmed bet, while a timeout forfeit
+// pays the side that won it; a bet never debited is voided.
+// 'spectator_bets_settled' lists every settled bet, voided ones included, as { bet_id, user_id, status, payout_lamports }.
+function buildSideBetKeyboard(lang, sessionId, p1Name, p2Name) {
+    return SPECTATOR_BET_STAKES_LAMPORTS.map((stake, i) => [
+        { text: tPlain(lang, 'sidebets.button', { name: p1Name, stake: solAmountLabel(stake) }), callback_data: `sidebet:${sessionId}:p1:${i}` },
+        { text: tPlain(lang, 'sidebets.button', { name: p2Name, stake: solAmountLabel(stake) }), callback_data: `sidebet:${sessionId}:p2:${i}` },
+    ]);
+}
+async function handleSideBetCallback(callbackQuery, sessionId, side, stakeIndex) {
+    const fromId = String(callbackQuery.from.id);
+    const fromName = callbackQuery.from.username ? `@${callbackQuery.from.username}` : (callbackQuery.from.first_name || `User ${fromId}`);
+    const lang = await getLanguage(callbackQuery.message?.chat?.id, fromId, { telegramLanguage: callbackQuery.from.language_code });
+    const answer = (key, params) => bot.answerCallbackQuery(callbackQuery.id, key ? { text: tPlain(lang, key, params) } : {}).catch(logIgnored('answerCallbackQuery'));
+    const stake = SPECTATOR_BET_STAKES_LAMPORTS[stakeIndex];
+    if (!['p1', 'p2'].includes(side) || typeof stake === 'undefined') return answer();
+
+    let client = null;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const res = await client.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1 FOR UPDATE", [sessionId]);
+        const session = res.rows[0];
+        const gameState = session?.game_state_json;
+        if (!session || session.status !== 'in_progress' || !gameState?.sideBetsOpen) { await client.query('ROLLBACK'); return answer('sidebets.closed'); }
+        if ([gameState.initiatorId, gameState.opponentId].map(String).includes(fromId)) { await client.query('ROLLBACK'); return answer('sidebets.own_duel'); }
+        const otherSide = await client.query("SELECT 1 FROM helper_spectator_bets WHERE session_id = $1 AND user_id = $2 AND side <> $3 LIMIT 1", [sessionId, fromId, side]);
+        if (otherSide.rowCount > 0) { await client.query('ROLLBACK'); return answer('sidebets.other_side'); }
+
+        const betRes = await client.query(
+            "INSERT INTO helper_spectator_bets (session_id, user_id, user_name, side, amount_lamports) VALUES ($1, $2, $3, $4, $5) RETURNING bet_id",
+            [sessionId, fromId, fromName, side, stake.toString()]
+        );
+        await publishEvent(client, 'spectator_bet_placed', { bet_id: betRes.rows[0].bet_id, session_id: session.session_id, user_id: fromId, amount_lamports: stake.toString() });
+        await client.query('COMMIT');
+        const backedName = side === 'p1' ? gameState.p1Name : gameState.p2Name;
+        return answer('sidebets.placed', { stake: solAmountLabel(stake), name: backedName });
+    } catch (e) {
+        if (client) await client.query('ROLLBACK').catch(logIgnored('rollback'));
+        log.error('Error placing side bet', { component: 'SideBets', sessionId, err: e });
+        return answer('sidebets.failed');
+    } finally { if (client) client.release(); }
+}
+async function lockSideBets(session, gameState) {
+    gameState.sideBetsOpen = false;
+    gameState.sideBetsLocked = true;
+    if (gameState.lastPromptMessageId) {
+        queuedEditReplyMarkup(session.chat_id, gameState.lastPromptMessageId, { inline_keyboard: [] }).catch(logIgnored('editMessageReplyMarkup'));
+    }
+}
+// Runs inside finalizeGame's transaction so bets settle atomically with the duel result.
+async function settleSpectatorBets(client, session, dbStatus, refundReason = null) {
+    const betsRes = await client.query("SELECT * FROM helper_spectator_bets WHERE session_id = $1 AND status = 'open' FOR UPDATE", [session.session_id]);
+    if (betsRes.rowCount === 0) return;
+    const bets = betsRes.rows.filter(b => b.debited_at);
+    const undebited = betsRes.rows.filter(b => !b.debited_at);
+    const voided = undebited.map(b => ({ bet: b, status: 'void', payout: 0n }));
+    for (const v of voided) {
+        await client.query("UPDATE helper_spectator_bets SET status = $1, payout_lamports = $2, settled_at = NOW() WHERE bet_id = $3", [v.status, '0', v.bet.bet_id]);
+    }
+    if (undebited.length > 0) sessionLog(session, 'SideBets').warn('Voided side bets whose stake was never debited', { betIds: undebited.map(b => String(b.bet_id)) });
+    const publishSettled = (outcome, refund_reason, settled) => publishEvent(client, 'spectator_bets_settled', {
+        session_id: session.session_id, outcome, refund_reason,
+        payouts: settled.map(p => ({ bet_id: String(p.bet.bet_id), user_id: String(p.bet.user_id), status: p.status, payout_lamports: p.payout.toString() })),
+    });
+    if (bets.length === 0) return publishSettled('void', undefined, voided);
+    const winningSide = dbStatus === 'completed_p1_win' ? 'p1' : (dbStatus === 'completed_p2_win' ? 'p2' : null);
+    const totalPool = bets.reduce((sum, b) => sum + BigInt(b.amount_lamports), 0n);
+    const winningPool = bets.filter(b => b.side === winningSide).reduce((sum, b) => sum + BigInt(b.amount_lamports), 0n);
+    const refundAll = refundReason || !winningSide || winningPool === 0n || winningPool === totalPool;
+
+    const netPool = totalPool * BigInt(Math.round((1 - SPECTATOR_BET_HOUSE_CUT) * 10000)) / 10000n;
+    const payouts = bets.map(b => {
+        const stake = BigInt(b.amount_lamports);
+        if (refundAll) return { bet: b, status: 'refunded', payout: stake };
+        if (b.side !== winningSide) return { bet: b, status: 'lost', payout: 0n };
+        return { bet: b, status: 'won', payout: netPool * stake / winningPool };
+    });
+    for (const p of payouts) {
+        await client.query("UPDATE helper_spectator_bets SET status = $1, payout_lamports = $2, settled_at = NOW() WHERE bet_id = $3", [p.status, p.payout.toString(), p.bet.bet_id]);
+    }
+    const paidOut = payouts.reduce((sum, p) => sum + p.payout, 0n);
+    sessionLog(session, 'SideBets').info('Settled side bets', { bets: bets.length, houseTakeLamports: totalPool - paidOut });
+    // A large book can exceed the NOTIFY limit; publishEvent then sends it truncated and the main bot reads the outbox.
+    await publishSettled(
+        refundAll ? 'refunded' : winningSide,
+        refundAll ? (refundReason || (winningSide ? 'one_sided_book' : 'push')) : undefined,
+        [...payouts, ...voided]
+    );
+}
+
+
+// --- REMATCH ---
+// After a game, the helper posts a card offering the same game again at the same stake, double the stake,
+// or a stake picked from REMATCH_STAKE_CHOICES_LAMPORTS. Solo players start at once; in PvP the first tap
+// proposes and the other player must tap the same offer before the card expires. An accepted rematch is
+// a new pending_pickup session linked through previous_session_id, marked `awaitingStakes` so the fallback
+// poller leaves it alone. The main bot debits the stakes on 'rematch_created', confirms with
+// `UPDATE interactive_game_sessions SET stakes_debited_at = NOW() WHERE session_id = $1` and then sends the usual
+// pickup event, which starts the game (or cancels the session if it can't debit them). A confirmed rematch whose
+// pickup was missed is started by the poller.
+const REMATCH_GAME_MODES = [GAME_MODES.PVB, GAME_MODES.PVP, GAME_MODES.SOLO_PROGRESSIVE];
+const solAmountLabel = (lamports) => `${Number(lamports) / Number(LAMPORTS_PER_SOL)} SOL`;
+function getRematchPlayerIds(session) {
+    const gameState = session.game_state_json || {};
+    const ids = [String(gameState.initiatorId || session.user_id)];
+    if (getGameMode(session.game_type) === GAME_MODES.PVP && gameState.opponentId) ids.push(String(gameState.opponentId));
+    return ids;
+}
+function buildRematchKeyboard(lang, sessionId, betLamports, showStakeChoices = false) {
+    if (showStakeChoices) {
+        return [
+            REMATCH_STAKE_CHOICES_LAMPORTS.map((stake, i) => ({ text: solAmountLabel(stake), callback_data: `rematch:${sessionId}:pick:${i}` })),
+            [{ text: tPlain(lang, 'rematch.button.back'), callback_data: `rematch:${sessionId}:menu` }],
+        ];
+    }
+    return [
+        [{ text: tPlain(lang, 'rematch.button.same', { stake: solAmountLabel(betLamports) }), callback_data: `rematch:${sessionId}:same` }],
+        [{ text: tPlain(lang, 'rematch.button.double', { stake: solAmountLabel(betLamports * 2n) }), callback_data: `rematch:${sessionId}:double` }],
+        [{ text: tPlain(lang, 'rematch.button.change_stake'), callback_data: `rematch:${sessionId}:stake` }],
+    ];
+}
+function getRematchCardLanguage(session) {
+    const isPvP = getGameMode(session.game_type) === GAME_MODES.PVP;
+    return getLanguage(session.chat_id, session.game_state_json?.initiatorId || session.user_id, { shared: isPvP });
+}
+async function postRematchCard(session, gameState) {
+    const isPvP = getGameMode(session.game_type) === GAME_MODES.PVP;
+    const lang = await getRematchCardLanguage(session);
+    const players = isPvP ? t(lang, 'common.versus', { p1: gameState.p1Name, p2: gameState.p2Name }) : escape(gameState.p1Name);
+    let html = t(lang, 'rematch.card', { emoji: getGameEmoji(session.game_type), game: getCleanGameNameHelper(session.game_type, lang), players: rawHtml(players) });
+    if (isPvP) html += '\n' + t(lang, 'rematch.both_must_accept');
+    html += '\n' + t(lang, 'rematch.expires_in', { count: Math.round(REMATCH_WINDOW_MS / 1000) });
+    const sentMsg = await queuedSendMessage(session.chat_id, html, { parse_mode: 'HTML', reply_markup: { inline_keyboard: buildRematchKeyboard(lang, session.session_id, BigInt(session.bet_amount_lamports)) } });
+    if (!sentMsg) return;
+    gameState.rematch = { cardMessageId: sentMsg.message_id, expiresAt: Date.now() + REMATCH_WINDOW_MS, proposal: null, newSessionId: null };
+    await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
+    setTimeout(() => expireRematchCard(session.session_id).catch(logIgnored('expireRematchCard')), REMATCH_WINDOW_MS);
+}
+async function expireRematchCard(sessionId) {
+    const res = await pool.query("SELECT chat_id, user_id, game_type, game_state_json FROM interactive_game_sessions WHERE session_id = $1", [sessionId]);
+    const rematch = res.rows[0]?.game_state_json?.rematch;
+    if (!rematch || rematch.newSessionId) return;
+    const lang = await getRematchCardLanguage(res.rows[0]);
+    await queuedEditMessageText(res.rows[0].chat_id, rematch.cardMessageId, t(lang, 'rematch.expired_card'), { parse_mode: 'HTML' }).catch(logIgnored('editMessageText'));
+}
+async function handleRematchCallback(callbackQuery, sessionId, choice, stakeIndex) {
+    const fromId = String(callbackQuery.from.id);
+    const lang = await getLanguage(callbackQuery.message?.chat?.id, fromId, { telegramLanguage: callbackQuery.from.language_code });
+    const answer = (key, params) => bot.answerCallbackQuery(callbackQuery.id, key ? { text: tPlain(lang, key, params) } : {}).catch(logIgnored('answerCallbackQuery'));
+    const logger = log.child({ component: 'Rematch', sessionId });
+    let client = null;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const res = await client.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1 FOR UPDATE", [sessionId]);
+        const previous = res.rows[0];
+        const gameState = previous?.game_state_json;
+        const rematch = gameState?.rematch;
+        if (!previous || !rematch || rematch.newSessionId) { await client.query('ROLLBACK'); return answer('rematch.unavailable'); }
+        const playerIds = getRematchPlayerIds(previous);
+        if (!playerIds.includes(fromId)) { await client.query('ROLLBACK'); return answer('rematch.players_only'); }
+        if (Date.now() > rematch.expiresAt) {
+            await client.query('ROLLBACK');
+            expireRematchCard(sessionId).catch(logIgnored('expireRematchCard'));
+            return answer('rematch.expired');
+        }
+
+        const betLamports = BigInt(previous.bet_amount_lamports);
+        const cardLang = await getRematchCardLanguage(previous);
+        if (choice === 'stake' || choice === 'menu') {
+            await client.query('ROLLBACK');
+            await answer();
+            await queuedEditReplyMarkup(previous.chat_id, rematch.cardMessageId, { inline_keyboard: buildRematchKeyboard(cardLang, sessionId, betLamports, choice === 'stake') }).catch(logIgnored('editMessageReplyMarkup'));
+            return;
+        }
+        const stakeLamports = choice === 'same' ? betLamports : choice === 'double' ? betLamports * 2n : REMATCH_STAKE_CHOICES_LAMPORTS[parseInt(stakeIndex, 10)];
+        if (typeof stakeLamports === 'undefined') { await client.query('ROLLBACK'); return answer(); }
+
+        if (playerIds.length > 1) {
+            const proposal = rematch.proposal;
+            const matchesProposal = proposal && proposal.stakeLamports === stakeLamports.toString();
+            if (!matchesProposal || proposal.acceptedBy.includes(fromId)) {
+                if (matchesProposal) { await client.query('ROLLBACK'); return answer('rematch.waiting'); }
+                rematch.proposal = { stakeLamports: stakeLamports.toString(), acceptedBy: [fromId] };
+                await client.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), sessionId]);
+                await client.query('COMMIT');
+                const proposerName = fromId === String(gameState.initiatorId) ? gameState.p1Name : gameState.p2Name;
+                const html = t(cardLang, 'rematch.proposal', { emoji: getGameEmoji(previous.game_type), name: proposerName, stake: solAmountLabel(stakeLamports) });
+                await queuedEditMessageText(previous.chat_id, rematch.cardMessageId, html, { parse_mode: 'HTML', reply_markup: { inline_keyboard: buildRematchKeyboard(cardLang, sessionId, betLamports, choice === 'pick') } }).catch(logIgnored('editMessageText'));
+                return answer('rematch.offer_sent');
+            }
+        }
+
+        const newGameState = {
+            initiatorId: gameState.initiatorId || String(previous.user_id), initiatorName: gameState.initiatorName || gameState.p1Name,
+            opponentId: gameState.opponentId, opponentName: gameState.opponentName || gameState.p2Name,
+            tier: gameState.tier, doubleOut: gameState.doubleOut, provablyFair: gameState.provablyFair,
+            awaitingStakes: true,
+        };
+        const insertRes = await client.query(
+            `INSERT INTO interactive_game_sessions (main_bot_game_id, user_id, chat_id, game_type, bet_amount_lamports, status, game_state_json, previous_session_id)
+             VALUES ($1, $2, $3, $4, $5, 'pending_pickup', $6, $7) RETURNING *`,
+            [`rematch_${sessionId}`, previous.user_id, previous.chat_id, previous.game_type, stakeLamports.toString(), JSON.stringify(newGameState), sessionId]
+        );
+        const newSession = insertRes.rows[0];
+        rematch.newSessionId = newSession.session_id;
+        await client.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), sessionId]);
+        await publishEvent(client, 'rematch_created', { session_id: newSession.session_id, previous_session_id: previous.session_id, user_ids: playerIds, bet_amount_lamports: stakeLamports.toString() });
+        await client.query('COMMIT');
+        logger.info('Rematch accepted', { newSessionId: newSession.session_id, stakeLamports });
+        await answer('rematch.on');
+        await queuedEditMessageText(previous.chat_id, rematch.cardMessageId, t(cardLang, 'rematch.on_card', { stake: solAmountLabel(stakeLamports) }), { parse_mode: 'HTML' }).catch(logIgnored('editMessageText'));
+    } catch (e) {
+        if (client) await client.query('ROLLBACK').catch(logIgnored('rollback'));
+        logger.error('Error starting rematch', { err: e });
+        return answer('rematch.failed');
+    } finally {
+        if (client) client.release();
+    }
+}
+
+
+// --- ROLL VALIDATION (ANTI-CHEAT) ---
+// The main bot passes the dice message's metadata with each roll, either as `roll` in the
+// notification payload or as game_state_json.lastRollMeta, using Telegram's field names:
+// { from_id, emoji, forward_origin | forward_from | forward_date, date, message_id }.
+// The player-facing reply for each rejection reason is the catalog entry roll_rejected.<reason>.
+function getCurrentPlayerName(gameState, lang) {
+    const turn = String(gameState.currentPlayerTurn);
+    if (Array.isArray(gameState.players)) return gameState.players.find(p => String(p.id) === turn)?.name || tPlain(lang, 'common.next_player');
+    if (gameState.opponentId && String(gameState.opponentId) === turn) return gameState.p2Name || tPlain(lang, 'common.player_2');
+    return gameState.p1Name || tPlain(lang, 'common.player_1');
+}
+// Returns a rejection reason, or null when the roll may be applied. `awaitingRoll` is set by each roll prompt
+// and cleared by claimSubmittedRoll, so nothing is accepted while the bot takes its turn or between prompts.
+function validateSubmittedRoll(session, gameState, roll, meta) {
+    const gameDef = getGameDefinition(session.game_type);
+    if (!gameDef || !gameState.awaitingRoll || (gameDef.mode === GAME_MODES.GROUP && gameState.phase !== 'playing')) return 'not_awaiting_roll';
+    if (!Number.isInteger(roll) || roll < 1 || roll > gameDef.diceFaces) return 'invalid_value';
+    if (!meta) {
+        if (ROLL_METADATA_REQUIRED) return 'missing_metadata';
+        sessionLog(session, 'RollValidation').warn('Accepting roll without metadata', { roll });
+        return null;
+    }
+    if (String(meta.from_id) !== String(gameState.currentPlayerTurn)) return 'out_of_turn';
+    if (meta.emoji && meta.emoji !== gameDef.emoji) return 'wrong_emoji';
+    if (meta.forward_origin || meta.forward_from || meta.forward_date || meta.is_forwarded) return 'forwarded';
+    // Telegram dates are whole seconds, so allow a second of rounding on top of the clock skew.
+    if (meta.date && gameState.promptSentAt && (Number(meta.date) + 1) * 1000 < gameState.promptSentAt - ROLL_CLOCK_SKEW_MS) return 'before_prompt';
+    return null;
+}
+// Takes the prompt's one roll. Two deliveries of a roll can be validated at the same time, so only the one whose
+// UPDATE clears the flag goes on; the other is rejected as not_awaiting_roll. The roll itself is removed as well,
+// so a lastRoll still in game_state_json is one that was never applied (see rescanOwnedSessions).
+async function claimSubmittedRoll(session, gameState) {
+    const res = await pool.query(
+        "UPDATE interactive_game_sessions SET game_state_json = game_state_json - 'awaitingRoll' - 'lastRoll' - 'lastRollMeta' WHERE session_id = $1 AND status = 'in_progress' AND game_state_json->>'awaitingRoll' = 'true' RETURNING session_id",
+        [session.session_id]
+    );
+    for (const key of ['awaitingRoll', 'lastRoll', 'lastRollMeta']) delete gameState[key];
+    return res.rowCount > 0;
+}
+// The rejected roll is removed from game_state_json too, so rescanOwnedSessions never sees it again. The UPDATE only
+// matches while the stored roll is still this one, so a newer roll the main bot wrote meanwhile is kept.
+async function rejectSubmittedRoll(session, gameState, roll, meta, reason) {
+    sessionLog(session, 'RollValidation').warn('Rejected roll', { roll, fromId: meta?.from_id ?? null, reason });
+    await pool.query(
+        "UPDATE interactive_game_sessions SET game_state_json = game_state_json - 'lastRoll' - 'lastRollMeta' WHERE session_id = $1 AND game_state_json->'lastRollMeta'->>'message_id' IS NOT DISTINCT FROM $2",
+        [session.session_id, meta?.message_id != null ? String(meta.message_id) : null]
+    );
+    delete gameState.lastRoll;
+    delete gameState.lastRollMeta;
+    await pool.query(
+        "INSERT INTO helper_roll_rejections (session_id, user_id, game_type, reason, roll_value, roll_meta, helper_bot_id) VALUES ($1, $2, $3, $4, $5, $6, $7)",
+        [session.session_id, meta?.from_id ?? null, session.game_type, reason, Number.isInteger(roll) ? roll : null, meta ? JSON.stringify(meta) : null, MY_BOT_ID]
+    ).catch(e => sessionLog(session, 'RollValidation').error('Could not write audit row', { err: e }));
+    await journal(session.session_id, 'roll_rejected', { actor: meta?.from_id ?? null, value: Number.isInteger(roll) ? roll : null, messageId: meta?.message_id ?? null, reason });
+
+    const lang = await getLanguage(session.chat_id, meta?.from_id ?? session.user_id);
+    const reply = t(lang, `roll_rejected.${reason}`, { emoji: getGameEmoji(session.game_type), name: getCurrentPlayerName(gameState, lang) });
+    const options = { parse_mode: 'HTML' };
+    if (meta?.message_id) { options.reply_to_message_id = meta.message_id; options.allow_sending_without_reply = true; }
+    await queuedSendMessage(session.chat_id, reply, options).catch(logFailure('sendMessage'));
+}
+
+
+// --- TURN DEADLINES & FORFEIT RULES ---
+// Every prompt stamps `turnDeadline` into game_state_json and arms two in-memory timers: a
+// warning shortly before the deadline and the forfeit itself. The deadline lives in the DB so a
+// restarted helper can re-arm it; the timers live in `activeTurnTimeouts`.
+function stampTurnDeadline(gameState) {
+    gameState.promptSentAt = Date.now();
+    gameState.turnDeadline = gameState.promptSentAt + PLAYER_ACTION_TIMEOUT;
+    return gameState.turnDeadline;
+}
+function clearTurnTimers(sessionId) {
+    const timers = activeTurnTimeouts.get(sessionId);
+    if (!timers) return;
+    clearTimeout(timers.warning);
+    clearTimeout(timers.timeout);
+    activeTurnTimeouts.delete(sessionId);
+}
+function scheduleTurnTimers(session, deadline, playerName, { warn = true } = {}) {
+    const sessionId = session.session_id;
+    clearTurnTimers(sessionId);
+    const remaining = Math.max(deadline - Date.now(), 0);
+    const timers = {};
+    if (warn && remaining > TURN_WARNING_LEAD_MS) {
+        timers.warning = setTimeout(() => log.withContext({ correlationId: newCorrelationId('timer'), sessionId }, async () => {
+            const lang = await getLanguage(session.chat_id, session.user_id, { shared: true });
+            queuedSendMessage(session.chat_id, t(lang, 'turn.warning', { name: playerName, count: Math.round(TURN_WARNING_LEAD_MS / 1000) }), { parse_mode: 'HTML' }).catch(logFailure('sendMessage'));
+        }), remaining - TURN_WARNING_LEAD_MS);
+    }
+    timers.timeout = setTimeout(() => log.withContext({ correlationId: newCorrelationId('timer'), sessionId }, () => {
+        activeTurnTimeouts.delete(sessionId);
+        handleGameTimeout(sessionId).catch(e => log.error('Error handling turn timeout', { component: 'TurnTimeout', err: e }));
+    }), remaining);
+    activeTurnTimeouts.set(sessionId, timers);
+}
+function getTurnTimeoutRule(gameType) {
+    const gameMode = getGameMode(gameType);
+    if (gameMode === GAME_MODES.SOLO_PROGRESSIVE) return TURN_TIMEOUT_RULES.darts_501;
+    if (gameMode === GAME_MODES.PVP) return TURN_TIMEOUT_RULES.pvp;
+    if (gameMode === GAME_MODES.GROUP) return TURN_TIMEOUT_RULES.group;
+    return TURN_TIMEOUT_RULES.pvb;
+}
+// Single entry point for an expired turn, whether it fired from a live timer or was found on restart.
+async function handleGameTimeout(sessionId) {
+    const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [sessionId]);
+    if (res.rowCount === 0 || res.rows[0].status !== 'in_progress') return;
+    const session = res.rows[0];
+    const logger = sessionLog(session, 'TurnTimeout');
+    const gameState = session.game_state_json || {};
+    // A newer prompt pushed the deadline out and armed its own timers.
+    if (gameState.turnDeadline && Date.now() < gameState.turnDeadline) return;
+
+    const rule = getTurnTimeoutRule(session.game_type);
+    const gameMode = getGameMode(session.game_type);
+    gameState.timedOutPlayerId = gameState.currentPlayerTurn;
+    gameState.timeoutRule = rule;
+    await journal(sessionId, 'timeout', { actor: gameState.currentPlayerTurn ?? null, rule, phase: gameState.phase ?? null, deadline: gameState.turnDeadline ? new Date(gameState.turnDeadline).toISOString() : null });
+    if (gameMode === GAME_MODES.GROUP && gameState.phase === 'lobby') {
+        // The lobby deadline: start with whoever joined, or refund everyone if too few showed up.
+        if ((gameState.players || []).length >= GROUP_MIN_PLAYERS) await startGroupGame(session);
+        else await finalizeGame(session, 'group_cancelled', gameState);
+        return;
+    }
+    if (gameMode === GAME_MODES.SOLO_PROGRESSIVE && gameState.phase === 'choosing_tier') {
+        // Nothing was thrown yet, so an abandoned tier picker is simply voided.
+        await finalizeGame(session, 'completed_timeout', gameState);
+        return;
+    }
+    logger.info('Player missed the deadline', { playerId: gameState.currentPlayerTurn, rule });
+    incrementMetric('helper_turn_timeouts_total', { game_type: session.game_type, rule });
+    await publishEvent(pool, 'timeout', { session_id: session.session_id, rule, player_id: gameState.currentPlayerTurn || undefined }).catch(e => logger.error('Error publishing timeout event', { err: e }));
+
+    if (rule === 'forfeit' && gameMode === GAME_MODES.GROUP) {
+        const idlePlayer = (gameState.players || []).find(p => String(p.id) === String(gameState.currentPlayerTurn));
+        if (idlePlayer) idlePlayer.forfeited = true;
+        await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), sessionId]);
+        await advanceGroupGameState(sessionId);
+    } else if (rule === 'forfeit' && gameMode === GAME_MODES.PVP) {
+        await finalizeGame(session, 'pvp_forfeit', gameState);
+    } else if (rule === 'cashout' && gameMode === GAME_MODES.SOLO_PROGRESSIVE) {
+        await finalizeGame(session, 'completed_cashout', gameState);
+    } else if (rule === 'loss') {
+        await finalizeGame(session, 'completed_loss', gameState);
+    } else {
+        await finalizeGame(session, 'completed_timeout', gameState);
+    }
+}
+
+
+// --- CRASH RECOVERY ---
+// On startup, pick back up every session this helper moved to 'in_progress' before it went down.
+// Players get a fresh prompt and a fresh deadline; a restart never costs anyone their turn.
+async function resumeInProgressSessions() {
+    // Renewing the lease first keeps another helper from taking these over while we resume them.
+    const res = await pool.query("UPDATE interactive_game_sessions SET lease_expires_at = NOW() + $2 * INTERVAL '1 millisecond' WHERE helper_bot_id = $1 AND status = 'in_progress' RETURNING *", [MY_BOT_ID, SESSION_LEASE_TTL_MS]);
+    myActiveSessionCount = res.rowCount;
+    if (res.rowCount === 0) return;
+    res.rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    log.info('Resuming in-progress sessions', { component: 'ResumeSessions', sessions: res.rowCount });
+    for (const session of res.rows) {
+        await log.withContext({ correlationId: newCorrelationId('resume'), sessionId: session.session_id }, () => resumeSession(session))
+            .catch(e => sessionLog(session, 'ResumeSession').error('Error resuming', { err: e }));
+    }
+}
+// A session's last sign of life: its latest prompt (every turn stamps one), an earlier resume, or its creation.
+function getLastSessionActivityAt(session) {
+    const gameState = session.game_state_json || {};
+    return Math.max(new Date(session.created_at).getTime(), gameState.promptSentAt || 0, gameState.resumedAt || 0);
+}
+async function resumeSession(session) {
+    const logger = sessionLog(session, 'ResumeSession');
+    const gameState = session.game_state_json || {};
+    // Only a game idle for longer than SESSION_RESUME_MAX_AGE_MS is expired; a long game still in play resumes.
+    const idleMs = Date.now() - getLastSessionActivityAt(session);
+    if (idleMs > SESSION_RESUME_MAX_AGE_MS) {
+        logger.warn('Session idle too long to resume, finalizing as expired', { idleMinutes: Math.round(idleMs / 60000) });
+        await finalizeGame(session, 'completed_expired', gameState);
+        return;
+    }
+
+    // Messages posted before the restart are stale; drop them instead of trying to edit them.
+    for (const key of ['gameBoardMessageId', 'lastMessageId', 'lastPromptMessageId', 'lobbyMessageId']) {
+        if (gameState[key]) {
+            queuedDeleteMessage(session.chat_id, gameState[key]).catch(logIgnored('deleteMessage'));
+            delete gameState[key];
+        }
+    }
+    delete gameState.turnDeadline;
+    gameState.resumedAt = Date.now();
+    await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
+    session.game_state_json = gameState;
+    logger.info('Resuming session');
+
+    const gameType = session.game_type;
+    const gameMode = getGameMode(gameType);
+    if (gameMode === GAME_MODES.SOLO_PROGRESSIVE) {
+        if (typeof gameState.remainingScore !== 'number') await runDarts501Challenge(session);
+        else await updateDarts501Message(session);
+    } else if (gameMode === GAME_MODES.PVB) {
+        if (!Array.isArray(gameState.playerRolls)) { await runPvBGame(session); return; }
+        const lang = await getLanguage(session.chat_id, session.user_id);
+        const introText = t(lang, 'pvb.title', { game: getCleanGameNameHelper(gameType, lang) }) + '\n' + t(lang, 'pvb.resumed') + '\n\n';
+        await updatePvBGameBoard(session.session_id, introText);
+    } else if (gameMode === GAME_MODES.PVP) {
+        await advancePvPGameState(session.session_id);
+    } else if (gameMode === GAME_MODES.GROUP) {
+        if (gameState.phase === 'lobby') await postGroupLobby(session.session_id);
+        else await advanceGroupGameState(session.session_id);
+    } else {
+        logger.error('Unknown game type to resume');
+        await finalizeGame(session, 'error', gameState);
+    }
+}
+
+
+// --- HELPER FLEET: HEARTBEATS, LEASES & LOAD-AWARE PICKUP ---
+// Each helper renews the lease on every session it owns and records its load in helper_bot_heartbeats.
+// A session whose lease lapses (its owner died or stalled) is taken over and resumed by a live helper.
+async function helperHeartbeat() {
+    if (helperHeartbeat.isRunning) return;
+    helperHeartbeat.isRunning = true;
+    try {
+        const renewed = await pool.query("UPDATE interactive_game_sessions SET lease_expires_at = NOW() + $2 * INTERVAL '1 millisecond' WHERE helper_bot_id = $1 AND status = 'in_progress' RETURNING session_id", [MY_BOT_ID, SESSION_LEASE_TTL_MS]);
+        myActiveSessionCount = renewed.rowCount;
+
+        // If another helper took a session over while we were stalled, our timers for it are stale.
+        const ownedIds = new Set(renewed.rows.map(r => String(r.session_id)));
+        for (const sessionId of activeTurnTimeouts.keys()) {
+            if (!ownedIds.has(String(sessionId))) clearTurnTimers(sessionId);
+        }
+
+        await pool.query(
+            `INSERT INTO helper_bot_heartbeats (helper_bot_id, active_sessions, last_heartbeat_at) VALUES ($1, $2, NOW())
+             ON CONFLICT (helper_bot_id) DO UPDATE SET active_sessions = EXCLUDED.active_sessions, last_heartbeat_at = NOW()`,
+            [MY_BOT_ID, myActiveSessionCount]
+        );
+        await takeOverExpiredLeases();
+        await resumeTournaments();
+        await pool.query("DELETE FROM helper_event_outbox WHERE created_at < NOW() - $1 * INTERVAL '1 millisecond'", [EVENT_OUTBOX_RETENTION_MS]);
+        const sendMetrics = getTelegramSendMetrics();
+        if (sendMetrics.queued > 0 || sendMetrics.throttled > helperHeartbeat.lastThrottled) {
+            log.info('Telegram send backlog', { component: 'Heartbeat', queued: sendMetrics.queued, deepestChatQueue: sendMetrics.deepestChatQueue, throttled: sendMetrics.throttled, failed: sendMetrics.failed });
+        }
+        helperHeartbeat.lastThrottled = sendMetrics.throttled;
+    } catch (e) { log.error('Heartbeat failed', { component: 'Heartbeat', err: e }); } finally { helperHeartbeat.isRunning = false; }
+}
+helperHeartbeat.isRunning = false;
+helperHeartbeat.lastThrottled = 0;
+async function takeOverExpiredLeases() {
+    const capacity = HELPER_MAX_ACTIVE_SESSIONS - myActiveSessionCount;
+    if (capacity <= 0) return;
+    // `prev` locks the expired rows and keeps their old owner for the log, since RETURNING only sees the new one.
+    // The lease conditions are repeated on the UPDATE so they are re-checked after the row lock is taken.
+    const res = await pool.query(
+        `WITH prev AS (
+             SELECT session_id, helper_bot_id FROM interactive_game_sessions
+             WHERE status = 'in_progress' AND helper_bot_id <> $1 AND lease_expires_at < NOW()
+             ORDER BY created_at ASC LIMIT $3 FOR UPDATE SKIP LOCKED)
+         UPDATE interactive_game_sessions s SET helper_bot_id = $1, lease_expires_at = NOW() + $2 * INTERVAL '1 millisecond'
+         FROM prev
+         WHERE s.session_id = prev.session_id AND s.status = 'in_progress' AND s.helper_bot_id <> $1 AND s.lease_expires_at < NOW()
+         RETURNING s.*, prev.helper_bot_id AS previous_helper_id`,
+        [MY_BOT_ID, SESSION_LEASE_TTL_MS, capacity]
+    );
+    for (const { previous_helper_id: previousHelperId, ...session } of res.rows) {
+        myActiveSessionCount++;
+        const logger = sessionLog(session, 'LeaseTakeover');
+        logger.warn('Lease expired, taking over from a stalled helper', { previousHelperId });
+        await log.withContext({ correlationId: newCorrelationId('takeover'), sessionId: session.session_id }, () => resumeSession(session))
+            .catch(e => logger.error('Error resuming', { err: e }));
+    }
+}
+// A pending session goes to the least-loaded live helper. If nobody lighter claims it within
+// PICKUP_LOAD_GRACE_MS, any helper with spare capacity may take it.
+async function shouldAcceptPickup(session) {
+    if (pickupsPaused) return false;
+    if (myActiveSessionCount >= HELPER_MAX_ACTIVE_SESSIONS) return false;
+    const pendingForMs = Date.now() - new Date(session.created_at).getTime();
+    if (pendingForMs >= PICKUP_LOAD_GRACE_MS) return true;
+    const res = await pool.query(
+        "SELECT MIN(active_sessions) AS min_load FROM helper_bot_heartbeats WHERE helper_bot_id <> $1 AND last_heartbeat_at > NOW() - $2 * INTERVAL '1 millisecond'",
+        [MY_BOT_ID, SESSION_LEASE_TTL_MS]
+    );
+    const minOtherLoad = res.rows[0]?.min_load;
+    return minOtherLoad === null || typeof minOtherLoad === 'undefined' || myActiveSessionCount <= Number(minOtherLoad);
+}
+
+
+// --- GROUP ROUNDS (3-8 PLAYERS) ---
+// The host's session opens a lobby; chat members join with an inline button (the main bot debits
+// each stake on 'group_player_joined'). Play rotates one roll at a time through `players` in join
+// order, and finalizeGame writes a per-player `results` array for the main bot to settle.
+function renderGroupScoreboardHTML(gameType, gameState) {
+    const turns = getTurnsPerPlayer(gameType);
+    return (gameState.players || []).map(p => {
+        const marker = p.forfeited ? '💤' : (String(p.id) === String(gameState.currentPlayerTurn) ? '▶️' : '▫️');
+        return `${marker} <b>${escape(p.name)}</b>: ${formatScoreCardHelper(gameType, p.rolls)} ➠ <b>${calculateFinalScore(gameType, p.rolls)}</b> <i>(${p.rolls.length}/${turns})</i>`;
+    }).join('\n');
+}
+async function postGroupLobby(sessionId) {
+    const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [sessionId]);
+    if (res.rowCount === 0 || res.rows[0].status !== 'in_progress') return;
+    const session = res.rows[0];
+    const gameState = session.game_state_json;
+    const players = gameState.players || [];
+    const stakeDisplay = formatBalanceForDisplay(session.bet_amount_lamports, await getDisplayCurrency(session.chat_id));
+    const lang = await getLanguage(session.chat_id, session.user_id, { shared: true });
+
+    let html = t(lang, 'group.lobby.title', { game: getCleanGameNameHelper(session.game_type, lang), emoji: getGameEmoji(session.game_type) }) + '\n';
+    html += t(lang, 'group.lobby.stake', { amount: stakeDisplay }) + '\n\n';
+    html += t(lang, 'group.lobby.players', { count: players.length, max: GROUP_MAX_PLAYERS }) + '\n' + players.map((p, i) => `${i + 1}. ${escape(p.name)}`).join('\n');
+    html += '\n\n' + t(lang, 'group.lobby.help', { count: GROUP_MIN_PLAYERS });
+    const options = { parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: tPlain(lang, 'common.button.join'), callback_data: `group_join:${sessionId}` }, { text: tPlain(lang, 'group.button.start'), callback_data: `group_start:${sessionId}` }]] } };
+
+    const sent = await upsertMessage(session.chat_id, gameState.lobbyMessageId, html, options).catch(logFailure('upsertMessage'));
+    if (sent && sent.message_id === gameState.lobbyMessageId) return;
+    if (sent) gameState.lobbyMessageId = sent.message_id;
+    if (!gameState.turnDeadline) gameState.turnDeadline = Date.now() + GROUP_LOBBY_TIMEOUT_MS;
+    await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), sessionId]);
+    if (session.helper_bot_id === MY_BOT_ID) scheduleTurnTimers(session, gameState.turnDeadline, gameState.p1Name, { warn: false });
+}
+async function handleGroupJoin(callbackQuery, sessionId) {
+    const fromId = String(callbackQuery.from.id);
+    const fromName = callbackQuery.from.username ? `@${callbackQuery.from.username}` : (callbackQuery.from.first_name || `Player ${fromId}`);
+    const lang = await getLanguage(callbackQuery.message?.chat?.id, fromId, { telegramLanguage: callbackQuery.from.language_code });
+    const answer = (key) => bot.answerCallbackQuery(callbackQuery.id, key ? { text: tPlain(lang, key) } : {}).catch(logIgnored('answerCallbackQuery'));
+    let client = null;
+    let lobbyFull = false, session = null;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const res = await client.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1 FOR UPDATE", [sessionId]);
+        session = res.rows[0];
+        const gameState = session?.game_state_json;
+        if (!session || session.status !== 'in_progress' || gameState?.phase !== 'lobby') { await client.query('ROLLBACK'); return answer('group.lobby_closed'); }
+        if (gameState.players.some(p => String(p.id) === fromId)) { await client.query('ROLLBACK'); return answer('common.already_in'); }
+        if (gameState.players.length >= GROUP_MAX_PLAYERS) { await client.query('ROLLBACK'); return answer('group.lobby_full'); }
+        if (await checkRgLimits(fromId, session.bet_amount_lamports)) { await client.query('ROLLBACK'); return answer('rg.join_refused'); }
+
+        gameState.players.push({ id: fromId, name: fromName, rolls: [], forfeited: false });
+        await client.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), sessionId]);
+        await publishEvent(client, 'group_player_joined', { session_id: session.session_id, user_id: fromId, bet_amount_lamports: String(session.bet_amount_lamports) });
+        await client.query('COMMIT');
+        lobbyFull = gameState.players.length >= GROUP_MAX_PLAYERS;
+        await answer('common.joined');
+    } catch (e) {
+        if (client) await client.query('ROLLBACK').catch(logIgnored('rollback'));
+        log.error('Group join failed', { component: 'GroupLobby', sessionId, err: e });
+        return answer();
+    } finally { if (client) client.release(); }
+
+    if (!lobbyFull) return postGroupLobby(sessionId);
+    if (session.helper_bot_id === MY_BOT_ID) await startGroupGame(session);
+    else await publishEvent(pool, 'session_action', { session_id: session.session_id, helper_bot_id: session.helper_bot_id, action: 'group_start' });
+}
+async function startGroupGame(session) {
+    const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [session.session_id]);
+    const liveSession = res.rows[0];
+    if (!liveSession || liveSession.status !== 'in_progress' || liveSession.game_state_json?.phase !== 'lobby') return;
+    const gameState = liveSession.game_state_json;
+    clearTurnTimers(liveSession.session_id);
+    if (gameState.lobbyMessageId) { queuedDeleteMessage(liveSession.chat_id, gameState.lobbyMessageId).catch(logIgnored('deleteMessage')); delete gameState.lobbyMessageId; }
+    gameState.phase = 'playing';
+    delete gameState.turnDeadline;
+    await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), liveSession.session_id]);
+    await advanceGroupGameState(liveSession.session_id);
+}
+// Round-robin: the next roller is the active player with the fewest rolls, earliest joiner first.
+async function advanceGroupGameState(sessionId) {
+    const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [sessionId]);
+    if (res.rowCount === 0 || res.rows[0].status !== 'in_progress') return;
+    const session = res.rows[0];
+    const gameState = session.game_state_json;
+    const turns = getTurnsPerPlayer(session.game_type);
+    const waiting = gameState.players.filter(p => !p.forfeited && p.rolls.length < turns);
+    if (waiting.length === 0) { await finalizeGame(session, 'group_resolve', gameState); return; }
+    const next = waiting.reduce((best, p) => (p.rolls.length < best.rolls.length ? p : best), waiting[0]);
+    gameState.currentPlayerTurn = String(next.id);
+    await promptGroupAction(session, gameState, next);
+}
+async function promptGroupAction(session, gameState, player) {
+    const { chat_id, game_type } = session;
+    if (gameState.lastPromptMessageId) queuedDeleteMessage(chat_id, gameState.lastPromptMessageId).catch(logIgnored('deleteMessage'));
+    const lang = await getLanguage(chat_id, session.user_id, { shared: true });
+    const gameName = getCleanGameNameHelper(game_type, lang);
+    const emoji = getGameEmoji(game_type);
+    let messageHTML = t(lang, 'group.title', { game: gameName }) + `\n\n${renderGroupScoreboardHTML(game_type, gameState)}\n\n`;
+    messageHTML += t(lang, 'turn.roll_prompt', { name: player.name, emoji, roll: player.rolls.length + 1, total: getTurnsPerPlayer(game_type) });
+    const promptMsg = await queuedSendMessage(chat_id, messageHTML, { parse_mode: 'HTML' }).catch(logFailure('sendMessage'));
+    if (promptMsg) gameState.lastPromptMessageId = promptMsg.message_id;
+    gameState.awaitingRoll = true;
+    stampTurnDeadline(gameState);
+    await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
+    await journalPrompt(session, gameState, 'group_turn', gameState.lastPromptMessageId);
+    scheduleTurnTimers(session, gameState.turnDeadline, player.name);
+}
+// Ranks non-forfeited players by score. Tied players share the split for every place they occupy,
+// e.g. two players tied for 1st with a 70/30 split each get 50% of the pot.
+function rankGroupPlayers(gameType, players, betLamports) {
+    const pot = betLamports * BigInt((players || []).length);
+    const scored = (players || []).map(p => ({ userId: String(p.id), name: p.name, score: calculateFinalScore(gameType, p.rolls), forfeited: !!p.forfeited }));
+    const ranked = scored.filter(p => !p.forfeited).sort((a, b) => b.score - a.score);
+    // With fewer players left than payout places, the shares of the empty places go to the paid ones pro rata.
+    const splitTotal = GROUP_PAYOUT_SPLIT.slice(0, ranked.length).reduce((a, b) => a + b, 0) || 1;
+    const results = [];
+    let position = 0;
+    while (position < ranked.length) {
+        const tied = ranked.filter(p => p.score === ranked[position].score);
+        const shareSum = GROUP_PAYOUT_SPLIT.slice(position, position + tied.length).reduce((a, b) => a + b, 0);
+        const perPlayerShare = shareSum / splitTotal / tied.length;
+        for (const p of tied) {
+            const payoutLamports = pot * BigInt(Math.round(perPlayerShare * 1e6)) / 1000000n;
+            results.push({ ...p, rank: position + 1, payoutShare: perPlayerShare, payoutLamports: payoutLamports.toString() });
+        }
+        position += tied.length;
+    }
+    for (const p of scored.filter(x => x.forfeited)) results.push({ ...p, rank: null, payoutShare: 0, payoutLamports: '0' });
+    return results;
+}
+
+
+// --- TOURNAMENTS ---
+// An organizer opens a 4/8/16-player bracket for one PvP game type. Entrants join with an inline
+// button (the main bot debits the entry fee on 'tournament_entry'). Each match is an ordinary
+// interactive_game_sessions row run by the duel engine, one match at a time per chat; finalizeGame
+// calls advanceTournament, which records the result, starts the next match or pays out the pool.
+// All bracket state lives in helper_tournaments / helper_tournament_matches, so a restart loses nothing.
+function getTournamentRoundName(lang, round, bracketSize) {
+    const matchesInRound = bracketSize / Math.pow(2, round);
+    if (matchesInRound === 1) return t(lang, 'tournament.round.final');
+    if (matchesInRound === 2) return t(lang, 'tournament.round.semi_finals');
+    if (matchesInRound === 4) return t(lang, 'tournament.round.quarter_finals');
+    return t(lang, 'tournament.round.numbered', { round });
+}
+function renderTournamentHTML(lang, tournament, matches = []) {
+    const gameName = getCleanGameNameHelper(tournament.game_type, lang);
+    const entrants = tournament.entrants || [];
+    const feeSol = (Number(tournament.entry_fee_lamports) / Number(LAMPORTS_PER_SOL)).toFixed(4);
+    let html = t(lang, 'tournament.title', { game: gameName, id: tournament.tournament_id }) + '\n';
+    html += t(lang, 'tournament.summary', { fee: feeSol, count: entrants.length, size: tournament.bracket_size }) + '\n\n';
+
+    if (tournament.status === 'registering') {
+        html += entrants.length ? entrants.map((e, i) => `${i + 1}. ${escape(e.name)}`).join('\n') : t(lang, 'tournament.no_entrants');
+        html += '\n\n' + t(lang, 'tournament.join_help');
+        return html;
+    }
+    const rounds = [...new Set(matches.map(m => m.round))].sort((a, b) => a - b);
+    for (const round of rounds) {
+        html += `<b>${getTournamentRoundName(lang, round, tournament.bracket_size)}</b>\n`;
+        for (const m of matches.filter(x => x.round === round).sort((a, b) => a.match_index - b.match_index)) {
+            const p1 = escape(m.p1_name), p2 = escape(m.p2_name);
+            if (m.status === 'completed') {
+                const p1Won = String(m.winner_id) === String(m.p1_id);
+                html += `✅ ${t(lang, 'common.versus', { p1: rawHtml(p1Won ? `<b>${p1}</b>` : p1), p2: rawHtml(p1Won ? p2 : `<b>${p2}</b>`) })}${m.coin_flip_seed ? ` ${t(lang, 'tournament.coin_flip')}` : ''}\n`;
+            } else {
+                const marker = m.status === 'playing' ? '▶️' : '⏳';
+                html += `${marker} ${t(lang, 'common.versus', { p1: m.p1_name, p2: m.p2_name })}${m.tiebreaks > 0 ? ` ${t(lang, 'tournament.tiebreak', { count: m.tiebreaks })}` : ''}\n`;
+            }
+        }
+        html += '\n';
+    }
+    if (tournament.status === 'completed' && Array.isArray(tournament.payouts)) {
+        html += t(lang, 'tournament.prizes') + '\n' + tournament.payouts.map(p => `${p.place === 1 ? '🥇' : p.place === 2 ? '🥈' : '🥉'} ${escape(p.name)}: ${(Number(p.amount_lamports) / Number(LAMPORTS_PER_SOL)).toFixed(4)} SOL`).join('\n');
+    } else if (tournament.status === 'cancelled') {
+        html += t(lang, 'tournament.cancelled_notice');
+    }
+    return html;
+}
+async function refreshTournamentMessage(tournamentId) {
+    const tRes = await pool.query("SELECT * FROM helper_tournaments WHERE tournament_id = $1", [tournamentId]);
+    if (tRes.rowCount === 0) return;
+    const tournament = tRes.rows[0];
+    const mRes = await pool.query("SELECT * FROM helper_tournament_matches WHERE tournament_id = $1", [tournamentId]);
+    const lang = await getLanguage(tournament.chat_id, tournament.organizer_id, { shared: true });
+    const html = renderTournamentHTML(lang, tournament, mRes.rows);
+    const keyboard = tournament.status === 'registering'
+        ? [[{ text: tPlain(lang, 'common.button.join'), callback_data: `tourney_join:${tournamentId}` }, { text: tPlain(lang, 'tournament.button.cancel'), callback_data: `tourney_cancel:${tournamentId}` }]]
+        : [];
+    const options = { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } };
+    const sent = await upsertMessage(tournament.chat_id, tournament.bracket_message_id, html, options).catch(logFailure('upsertMessage'));
+    if (sent && sent.message_id === tournament.bracket_message_id) return;
+    if (sent) await pool.query("UPDATE helper_tournaments SET bracket_message_id = $1 WHERE tournament_id = $2", [sent.message_id, tournamentId]);
+}
+async function createTournament(msg, gameTypeArg, sizeArg, feeArg) {
+    const gameDef = getGameDefinition(gameTypeArg);
+    const bracketSize = parseInt(sizeArg, 10);
+    const feeSol = parseFloat(feeArg);
+    if (!gameDef || gameDef.mode !== GAME_MODES.PVP || !TOURNAMENT_SIZES.includes(bracketSize) || !(feeSol > 0)) {
+        const pvpTypes = Object.values(GAME_REGISTRY).filter(d => d.mode === GAME_MODES.PVP).map(d => d.key).join(', ');
+        const lang = await getLanguage(msg.chat.id, msg.from.id, { telegramLanguage: msg.from.language_code });
+        return queuedSendMessage(msg.chat.id, t(lang, 'tournament.usage', { sizes: TOURNAMENT_SIZES.join('|'), games: pvpTypes }), { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+    }
+    const entryFeeLamports = BigInt(Math.round(feeSol * Number(LAMPORTS_PER_SOL)));
+    const res = await pool.query(
+        `INSERT INTO helper_tournaments (chat_id, organizer_id, game_type, bracket_size, entry_fee_lamports, prize_split, house_cut, helper_bot_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING tournament_id`,
+        [msg.chat.id, msg.from.id, gameDef.key, bracketSize, entryFeeLamports.toString(), JSON.stringify(TOURNAMENT_PRIZE_SPLIT), TOURNAMENT_HOUSE_CUT, MY_BOT_ID]
+    );
+    await refreshTournamentMessage(res.rows[0].tournament_id);
+}
+async function handleTournamentCallback(callbackQuery, action, tournamentId) {
+    const fromId = String(callbackQuery.from.id);
+    const fromName = callbackQuery.from.username ? `@${callbackQuery.from.username}` : (callbackQuery.from.first_name || `Player ${fromId}`);
+    const lang = await getLanguage(callbackQuery.message?.chat?.id, fromId, { telegramLanguage: callbackQuery.from.language_code });
+    const answer = (key) => bot.answerCallbackQuery(callbackQuery.id, key ? { text: tPlain(lang, key) } : {}).catch(logIgnored('answerCallbackQuery'));
+    let client = null;
+    let startBracket = false;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const res = await client.query("SELECT * FROM helper_tournaments WHERE tournament_id = $1 FOR UPDATE", [tournamentId]);
+        if (res.rowCount === 0 || res.rows[0].status !== 'registering') { await client.query('ROLLBACK'); return answer('tournament.registration_closed'); }
+        const tournament = res.rows[0];
+        const entrants = tournament.entrants || [];
+
+        if (action === 'tourney_join') {
+            if (entrants.some(e => String(e.id) === fromId)) { await client.query('ROLLBACK'); return answer('common.already_in'); }
+            if (entrants.length >= tournament.bracket_size) { await client.query('ROLLBACK'); return answer('tournament.bracket_full'); }
+            if (await checkRgLimits(fromId, tournament.entry_fee_lamports)) { await client.query('ROLLBACK'); return answer('rg.join_refused'); }
+            entrants.push({ id: fromId, name: fromName });
+            await client.query("UPDATE helper_tournaments SET entrants = $1 WHERE tournament_id = $2", [JSON.stringify(entrants), tournamentId]);
+            await publishEvent(client, 'tournament_entry', { tournament_id: tournament.tournament_id, user_id: fromId, entry_fee_lamports: String(tournament.entry_fee_lamports) });
+            startBracket = entrants.length === tournament.bracket_size;
+            await client.query('COMMIT');
+            await answer('common.joined');
+        } else if (action === 'tourney_cancel') {
+            if (String(tournament.organizer_id) !== fromId) { await client.query('ROLLBACK'); return answer('tournament.organizer_only'); }
+            await cancelTournament(client, tournament, 'cancelled_by_organizer');
+            await client.query('COMMIT');
+            await answer('tournament.cancelled');
+        } else {
+            await client.query('ROLLBACK');
+            return answer();
+        }
+    } catch (e) {
+        if (client) await client.query('ROLLBACK').catch(logIgnored('rollback'));
+        log.error('Tournament callback failed', { component: 'Tournament', tournamentId, err: e });
+        return answer();
+    } finally { if (client) client.release(); }
+
+    if (startBracket) await startTournamentBracket(tournamentId);
+    else await refreshTournamentMessage(tournamentId);
+}
+async function cancelTournament(client, tournament, reason) {
+    await client.query("UPDATE helper_tournaments SET status = 'cancelled', completed_at = NOW() WHERE tournament_id = $1", [tournament.tournament_id]);
+    // Every entrant on the tournament row is refunded its entry_fee_lamports.
+    await publishEvent(client, 'tournament_cancelled', { tournament_id: tournament.tournament_id, reason });
+}
+async function startTournamentBracket(tournamentId) {
+    const res = await pool.query("UPDATE helper_tournaments SET status = 'running' WHERE tournament_id = $1 AND status = 'registering' RETURNING *", [tournamentId]);
+    if (res.rowCount === 0) return;
+    const entrants = [...res.rows[0].entrants];
+    // Seed the bracket with an unbiased shuffle.
+    for (let i = entrants.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [entrants[i], entrants[j]] = [entrants[j], entrants[i]];
+    }
+    for (let i = 0; i < entrants.length; i += 2) {
+        await pool.query(
+            "INSERT INTO helper_tournament_matches (tournament_id, round, match_index, p1_id, p1_name, p2_id, p2_name) VALUES ($1, 1, $2, $3, $4, $5, $6)",
+            [tournamentId, i / 2, entrants[i].id, entrants[i].name, entrants[i + 1].id, entrants[i + 1].name]
+        );
+    }
+    await advanceTournament(tournamentId);
+}
+// Each duel is a regular session with no wager of its own; the entry fees are the stake.
+async function startTournamentMatch(client, tournament, match) {
+    const gameState = {
+        initiatorId: String(match.p1_id), initiatorName: match.p1_name,
+        opponentId: String(match.p2_id), opponentName: match.p2_name,
+        tournamentId: tournament.tournament_id, tournamentMatchId: match.match_id, tieBreak: match.tiebreaks > 0,
+    };
+    const mainBotGameId = `tournament_${tournament.tournament_id}_r${match.round}_m${match.match_index}_t${match.tiebreaks}`;
+    const sessionRes = await client.query(
+        `INSERT INTO interactive_game_sessions (main_bot_game_id, user_id, chat_id, game_type, bet_amount_lamports, status, game_state_json)
+         VALUES ($1, $2, $3, $4, 0, 'pending_pickup', $5) RETURNING *`,
+        [mainBotGameId, match.p1_id, tournament.chat_id, tournament.game_type, JSON.stringify(gameState)]
+    );
+    await client.query("UPDATE helper_tournament_matches SET session_id = $1, status = 'playing' WHERE match_id = $2", [sessionRes.rows[0].session_id, match.match_id]);
+    return sessionRes.rows[0];
+}
+// A match still level after TOURNAMENT_MAX_TIEBREAKS is settled by a coin flip: a random seed, stored on the
+// match row, and HMAC-SHA256(seed, `${tournamentId}:${round}:${matchIndex}`); an even first byte sends p1
+// through, an odd one p2. Anyone holding the row can recompute it.
+function flipTournamentCoin(match, seed) {
+    const digest = crypto.createHmac('sha256', seed).update(`${match.tournament_id}:${match.round}:${match.match_index}`).digest();
+    return digest[0] % 2 === 0 ? match.p1_id : match.p2_id;
+}
+function getTournamentMatchWinner(match, sessionStatus) {
+    if (sessionStatus === 'completed_p1_win') return match.p1_id;
+    if (sessionStatus === 'completed_p2_win') return match.p2_id;
+    return null;
+}
+// Idempotent: records any finished match, then starts the next match, builds the next round or pays out.
+async function advanceTournament(tournamentId) {
+    let client = null;
+    let sessionToStart = null;
+    let changed = false;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const tRes = await client.query("SELECT * FROM helper_tournaments WHERE tournament_id = $1 FOR UPDATE", [tournamentId]);
+        if (tRes.rowCount === 0 || tRes.rows[0].status !== 'running') { await client.query('ROLLBACK'); return; }
+        const tournament = tRes.rows[0];
+        const matches = (await client.query("SELECT m.*, s.status AS session_status FROM helper_tournament_matches m LEFT JOIN interactive_game_sessions s ON s.session_id = m.session_id WHERE m.tournament_id = $1 ORDER BY m.round, m.match_index", [tournamentId])).rows;
+
+        for (const match of matches.filter(m => m.status === 'playing' && m.session_status && !['pending_pickup', 'in_progress'].includes(m.session_status))) {
+            const winnerId = getTournamentMatchWinner(match, match.session_status);
+            changed = true;
+            if (winnerId) {
+                await client.query("UPDATE helper_tournament_matches SET winner_id = $1, status = 'completed' WHERE match_id = $2", [winnerId, match.match_id]);
+                Object.assign(match, { winner_id: winnerId, status: 'completed' });
+            } else if (match.tiebreaks < TOURNAMENT_MAX_TIEBREAKS) {
+                // Push (or a voided duel): replay the pairing as a tie-break.
+                await client.query("UPDATE helper_tournament_matches SET tiebreaks = tiebreaks + 1, status = 'pending', session_id = NULL WHERE match_id = $1", [match.match_id]);
+                Object.assign(match, { tiebreaks: match.tiebreaks + 1, status: 'pending' });
+            } else {
+                // Still level after every tie-break: a recorded coin flip decides (the bracket is unseeded).
+                const coinFlipSeed = crypto.randomBytes(16).toString('hex');
+                const coinWinnerId = flipTournamentCoin(match, coinFlipSeed);
+                await client.query("UPDATE helper_tournament_matches SET winner_id = $1, coin_flip_seed = $2, status = 'completed' WHERE match_id = $3", [coinWinnerId, coinFlipSeed, match.match_id]);
+                Object.assign(match, { winner_id: coinWinnerId, coin_flip_seed: coinFlipSeed, status: 'completed' });
+            }
+        }
+
+        if (!matches.some(m => m.status === 'playing')) {
+            const currentRound = Math.max(...matches.map(m => m.round));
+            const roundMatches = matches.filter(m => m.round === currentRound);
+            const nextMatch = roundMatches.find(m => m.status === 'pending');
+            changed = true;
+            if (nextMatch) {
+                sessionToStart = await startTournamentMatch(client, tournament, nextMatch);
+            } else if (roundMatches.length === 1) {
+                await completeTournament(client, tournament, matches);
+            } else {
+                const nameOf = (m, id) => String(m.p1_id) === String(id) ? m.p1_name : m.p2_name;
+                for (let i = 0; i < roundMatches.length; i += 2) {
+                    const a = roundMatches[i], b = roundMatches[i + 1];
+                    await client.query(
+                        "INSERT INTO helper_tournament_matches (tournament_id, round, match_index, p1_id, p1_name, p2_id, p2_name) VALUES ($1, $2, $3, $4, $5, $6, $7)",
+                        [tournamentId, currentRound + 1, i / 2, a.winner_id, nameOf(a, a.winner_id), b.winner_id, nameOf(b, b.winner_id)]
+                    );
+                }
+                await client.query('COMMIT');
+                client.release(); client = null;
+                return advanceTournament(tournamentId);
+            }
+        }
+        await client.query('COMMIT');
+    } catch (e) {
+        if (client) await client.query('ROLLBACK').catch(logIgnored('rollback'));
+        log.error('Error advancing tournament', { component: 'Tournament', tournamentId, err: e });
+        return;
+    } finally { if (client) client.release(); }
+
+    if (!changed) return;
+    await refreshTournamentMessage(tournamentId);
+    if (sessionToStart) await handleGameStart(sessionToStart);
+}
+async function completeTournament(client, tournament, matches) {
+    const finalMatch = matches.find(m => m.round === Math.max(...matches.map(x => x.round)));
+    const loserOf = (m) => String(m.winner_id) === String(m.p1_id) ? { id: m.p2_id, name: m.p2_name } : { id: m.p1_id, name: m.p1_name };
+    const winnerOf = (m) => String(m.winner_id) === String(m.p1_id) ? { id: m.p1_id, name: m.p1_name } : { id: m.p2_id, name: m.p2_name };
+    const semiLosers = matches.filter(m => m.round === finalMatch.round - 1).map(loserOf);
+
+    const grossPool = BigInt(tournament.entry_fee_lamports) * BigInt(tournament.bracket_size);
+    const prizePool = grossPool * BigInt(Math.round((1 - Number(tournament.house_cut)) * 10000)) / 10000n;
+    const split = tournament.prize_split || TOURNAMENT_PRIZE_SPLIT;
+    const splitTotal = split.reduce((a, b) => a + b, 0) || 1;
+    const share = (place) => prizePool * BigInt(Math.round((split[place - 1] || 0) * 100)) / BigInt(Math.round(splitTotal * 100));
+
+    const payouts = [{ place: 1, ...winnerOf(finalMatch), amount_lamports: share(1) }, { place: 2, ...loserOf(finalMatch), amount_lamports: share(2) }];
+    for (const loser of semiLosers) payouts.push({ place: 3, ...loser, amount_lamports: share(3) / BigInt(semiLosers.length) });
+    const serialized = payouts.filter(p => p.amount_lamports > 0n).map(p => ({ place: p.place, user_id: String(p.id), name: p.name, amount_lamports: p.amount_lamports.toString() }));
+
+    await client.query("UPDATE helper_tournaments SET status = 'completed', payouts = $1, completed_at = NOW() WHERE tournament_id = $2", [JSON.stringify(serialized), tournament.tournament_id]);
+    await publishEvent(client, 'tournament_completed', { tournament_id: tournament.tournament_id });
+}
+// Runs on startup and from the heartbeat: finishes brackets this helper was running and closes stale registrations.
+async function resumeTournaments() {
+    const expired = await pool.query("SELECT * FROM helper_tournaments WHERE helper_bot_id = $1 AND status = 'registering' AND created_at < NOW() - $2 * INTERVAL '1 millisecond'", [MY_BOT_ID, TOURNAMENT_REGISTRATION_TIMEOUT_MS]);
+    for (const tournament of expired.rows) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await cancelTournament(client, tournament, 'registration_timeout');
+            await client.query('COMMIT');
+        } catch (e) { await client.query('ROLLBACK').catch(logIgnored('rollback')); log.error('Error expiring tournament', { component: 'Tournament', tournamentId: tournament.tournament_id, err: e }); } finally { client.release(); }
+        await refreshTournamentMessage(tournament.tournament_id);
+    }
+    const running = await pool.query("SELECT tournament_id FROM helper_tournaments WHERE helper_bot_id = $1 AND status = 'running'", [MY_BOT_ID]);
+    for (const { tournament_id } of running.rows) await advanceTournament(tournament_id);
+}
+async function handleTournamentCommand(msg, match) {
+    if (msg.chat.type === 'private') {
+        const lang = await getLanguage(msg.chat.id, msg.from.id, { telegramLanguage: msg.from.language_code });
+        return queuedSendMessage(msg.chat.id, tPlain(lang, 'tournament.groups_only')).catch(logIgnored('sendMessage'));
+    }
+    try { await createTournament(msg, match[1], match[2], match[3]); }
+    catch (e) { log.error('Error creating tournament', { component: 'Tournament', err: e }); }
+}
+
+
+// --- DISPLAY CURRENCY ---
+// A player's own choice wins, then the chat's default, then DEFAULT_DISPLAY_CURRENCY.
+async function getDisplayCurrency(chatId, userId = null) {
+    const keys = [userId ? `user:${userId}` : null, chatId ? `chat:${chatId}` : null].filter(Boolean);
+    for (const key of keys) {
+        if (!displayCurrencyCache.has(key)) {
+            const [scope, scopeId] = key.split(':');
+            const res = await pool.query("SELECT currency FROM helper_display_currency WHERE scope = $1 AND scope_id = $2", [scope, scopeId]).catch(logFailure('loadDisplayCurrency'));
+            if (!res) continue;
+            displayCurrencyCache.set(key, res.rows[0]?.currency || null);
+        }
+        const currency = displayCurrencyCache.get(key);
+        if (currency && priceOracle.currencies.includes(currency)) return currency;
+    }
+    return DEFAULT_DISPLAY_CURRENCY;
+}
+async function setDisplayCurrency(scope, scopeId, currency) {
+    await pool.query(
+        `INSERT INTO helper_display_currency (scope, scope_id, currency) VALUES ($1, $2, $3)
+         ON CONFLICT (scope, scope_id) DO UPDATE SET currency = EXCLUDED.currency, updated_at = NOW()`,
+        [scope, scopeId, currency]
+    );
+    displayCurrencyCache.set(`${scope}:${scopeId}`, currency);
+}
+// /currency shows the options, /currency EUR sets your own, /currency chat EUR sets the chat default (group admins only).
+async function handleCurrencyCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const forChat = !!match[1];
+    const currency = match[2]?.toUpperCase();
+    const options = priceOracle.currencies.join(', ');
+    try {
+        const lang = await getLanguage(chatId, userId, { telegramLanguage: msg.from.language_code });
+        if (!currency) {
+            const current = await getDisplayCurrency(chatId, userId);
+            const usage = t(lang, msg.chat.type !== 'private' ? 'currency.usage_group' : 'currency.usage');
+            return queuedSendMessage(chatId, `${t(lang, 'currency.current', { currency: current })}\n${usage}\n${t(lang, 'common.available', { options })}`, { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+        }
+        if (!priceOracle.currencies.includes(currency)) return queuedSendMessage(chatId, t(lang, 'currency.unavailable', { currency, options }), { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+        if (forChat) {
+            if (msg.chat.type === 'private') return queuedSendMessage(chatId, t(lang, 'currency.private_chat'), { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+            const member = await bot.getChatMember(chatId, userId).catch(logIgnored('getChatMember'));
+            if (!member || !['creator', 'administrator'].includes(member.status)) return queuedSendMessage(chatId, tPlain(lang, 'currency.admins_only')).catch(logIgnored('sendMessage'));
+            await setDisplayCurrency('chat', chatId, currency);
+            return queuedSendMessage(chatId, t(lang, 'currency.chat_set', { currency }), { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+        }
+        await setDisplayCurrency('user', userId, currency);
+        await queuedSendMessage(chatId, t(lang, 'currency.user_set', { currency }), { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+    } catch (e) { log.error('Currency command failed', { component: 'Currency', err: e }); }
+}
+
+
+// --- LANGUAGE ---
+// For a player: their /language choice, then the chat's, then the language_code Telegram last reported
+// for them, then DEFAULT_LANGUAGE. Messages the whole chat reads (`shared`) put the chat's choice first.
+// Returns undefined when the lookup fails, so callers can tell "no row" from "don't know".
+async function loadLanguagePref(scope, scopeId) {
+    const key = `${scope}:${scopeId}`;
+    if (!languageCache.has(key)) {
+        const res = await pool.query("SELECT language, source FROM helper_language_prefs WHERE scope = $1 AND scope_id = $2", [scope, scopeId]).catch(logFailure('loadLanguagePref'));
+        if (!res) return undefined;
+        languageCache.set(key, res.rows[0] || null);
+    }
+    return languageCache.get(key);
+}
+async function getLanguage(chatId, userId = null, { shared = false, telegramLanguage = null } = {}) {
+    const userPref = userId ? await loadLanguagePref('user', userId) : null;
+    const chatPref = chatId ? await loadLanguagePref('chat', chatId) : null;
+    if (userId && telegramLanguage) rememberTelegramLanguage(userId, telegramLanguage, userPref).catch(e => log.error('Could not store language', { component: 'Language', userId, err: e }));
+    const chosen = userPref?.source === 'preference' ? userPref.language : null;
+    const reported = telegramLanguage || (userPref?.source === 'telegram' ? userPref.language : null);
+    const candidates = shared ? [chatPref?.language, chosen, reported] : [chosen, chatPref?.language, reported];
+    for (const candidate of candidates) {
+        const lang = translator.resolveLanguage(candidate);
+        if (lang) return lang;
+    }
+    return DEFAULT_LANGUAGE;
+}
+// Stores the reported code as-is, so a catalog added later applies to players who already use that language.
+async function rememberTelegramLanguage(userId, code, current) {
+    const language = String(code).toLowerCase();
+    if (current === undefined || current?.source === 'preference' || current?.language === language) return;
+    languageCache.set(`user:${userId}`, { language, source: 'telegram' });
+    await pool.query(
+        `INSERT INTO helper_language_prefs (scope, scope_id, language, source) VALUES ('user', $1, $2, 'telegram')
+         ON CONFLICT (scope, scope_id) DO UPDATE SET language = EXCLUDED.language, updated_at = NOW() WHERE helper_language_prefs.source = 'telegram'`,
+        [userId, language]
+    );
+}
+// A null language clears the choice, and the user goes back to Telegram's language_code.
+async function setLanguagePreference(scope, scopeId, language) {
+    if (!language) {
+        await pool.query("DELETE FROM helper_language_prefs WHERE scope = $1 AND scope_id = $2", [scope, scopeId]);
+        languageCache.delete(`${scope}:${scopeId}`);
+        return;
+    }
+    await pool.query(
+        `INSERT INTO helper_language_prefs (scope, scope_id, language, source) VALUES ($1, $2, $3, 'preference')
+         ON CONFLICT (scope, scope_id) DO UPDATE SET language = EXCLUDED.language, source = EXCLUDED.source, updated_at = NOW()`,
+        [scope, scopeId, language]
+    );
+    languageCache.set(`${scope}:${scopeId}`, { language, source: 'preference' });
+}
+// /language shows the options, /language es sets your own, /language auto follows Telegram again,
+// /language chat es sets the chat default (group admins only).
+async function handleLanguageCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const forChat = !!match[1];
+    const requested = match[2]?.toLowerCase();
+    const options = translator.languages.map(code => `${code} (${tPlain(code, 'language.name')})`).join(', ');
+    try {
+        let lang = await getLanguage(chatId, userId, { telegramLanguage: msg.from.language_code });
+        if (!requested) {
+            const usage = t(lang, msg.chat.type !== 'private' ? 'language.usage_group' : 'language.usage');
+            return queuedSendMessage(chatId, `${t(lang, 'language.current', { language: tPlain(lang, 'language.name') })}\n${usage}\n${t(lang, 'common.available', { options })}`, { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+        }
+        const language = requested === 'auto' ? null : translator.resolveLanguage(requested);
+        if (requested !== 'auto' && !language) return queuedSendMessage(chatId, t(lang, 'language.unavailable', { language: requested, options }), { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+        if (forChat) {
+            if (msg.chat.type === 'private') return queuedSendMessage(chatId, t(lang, 'language.private_chat'), { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+            const member = await bot.getChatMember(chatId, userId).catch(logIgnored('getChatMember'));
+            if (!member || !['creator', 'administrator'].includes(member.status)) return queuedSendMessage(chatId, tPlain(lang, 'language.admins_only')).catch(logIgnored('sendMessage'));
+            await setLanguagePreference('chat', chatId, language);
+            lang = await getLanguage(chatId, userId, { shared: true, telegramLanguage: msg.from.language_code });
+            return queuedSendMessage(chatId, t(lang, language ? 'language.chat_set' : 'language.chat_cleared', { language: tPlain(lang, 'language.name') }), { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+        }
+        await setLanguagePreference('user', userId, language);
+        lang = await getLanguage(chatId, userId, { telegramLanguage: msg.from.language_code });
+        await queuedSendMessage(chatId, t(lang, language ? 'language.user_set' : 'language.user_cleared', { language: tPlain(lang, 'language.name') }), { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+    } catch (e) { log.error('Language command failed', { component: 'Language', err: e }); }
+}
+
+
+// --- RESPONSIBLE GAMING ---
+// Players set their own limits with /limits: daily and weekly net-loss limits, a cap on games per 24 hours,
+// a reality check every N minutes of continuous play, a cool-off break and self-exclusion. handleGameStart
+// refuses a session (status RG_REFUSED_STATUS, plus a 'refused' event) when any player is on a break or over a
+// limit; a Darts 501 run stops at the next visit once a break starts. Tournament matches are checked at entry.
+const RG_REFUSED_STATUS = 'refused_limits';
+const RG_DAY_MS = 24 * 60 * 60 * 1000;
+const RG_WEEK_MS = 7 * RG_DAY_MS;
+const RG_MAX_BREAK_MS = 5 * 365 * RG_DAY_MS;
+// /limits <name> <value|off>. Lower values are tighter.
+const RG_LIMIT_SETTINGS = {
+    daily: { column: 'daily_loss_limit_lamports', kind: 'sol' },
+    weekly: { column: 'weekly_loss_limit_lamports', kind: 'sol' },
+    sessions: { column: 'daily_session_limit', kind: 'count' },
+    reality: { column: 'reality_check_minutes', kind: 'minutes' },
+};
+// /limits <name> <n>h|<n>d. A break can be extended but never shortened.
+const RG_BREAK_SETTINGS = { cooloff: 'cool_off_until', exclude: 'self_excluded_until' };
+// Sessions the user played in: as the session's user, a PvP opponent or a group player.
+const RG_PLAYER_SESSIONS_SQL = `(user_id = $1 OR game_state_json->>'opponentId' = $1::TEXT OR game_state_json->'players' @> jsonb_build_array(jsonb_build_object('id', $1::TEXT)))`;
+
+// Applies raised or removed limits whose waiting period is over.
+async function loadRgLimits(userId) {
+    const res = await pool.query("SELECT * FROM helper_rg_limits WHERE user_id = $1", [userId]);
+    const limits = res.rows[0] || null;
+    if (!limits?.pending_effective_at || new Date(limits.pending_effective_at) > Date.now()) return limits;
+    const limitColumns = Object.values(RG_LIMIT_SETTINGS).map(s => s.column);
+    const columns = Object.keys(limits.pending_limits || {}).filter(c => limitColumns.includes(c));
+    const assignments = [...columns.map((c, i) => `${c} = $${i + 2}`), 'pending_limits = NULL', 'pending_effective_at = NULL', 'updated_at = NOW()'];
+    const applied = await pool.query(`UPDATE helper_rg_limits SET ${assignments.join(', ')} WHERE user_id = $1 RETURNING *`, [userId, ...columns.map(c => limits.pending_limits[c])]);
+    return applied.rows[0] || limits;
+}
+// What the user won (+) or lost (-) over the window, from the settled results.
+async function getRgNetResultLamports(userId, windowMs) {
+    const res = await pool.query(
+        "SELECT COALESCE(SUM(net_lamports), 0) AS net_lamports FROM helper_game_results WHERE user_id = $1 AND finished_at > NOW() - $2 * INTERVAL '1 millisecond'",
+        [userId, windowMs]
+    );
+    return BigInt(res.rows[0].net_lamports);
+}
+async function countRgRecentSessions(userId, windowMs) {
+    const res = await pool.query(
+        `SELECT COUNT(*) AS sessions FROM interactive_game_sessions
+         WHERE ${RG_PLAYER_SESSIONS_SQL} AND status NOT IN ('pending_pickup', $3) AND created_at > NOW() - $2 * INTERVAL '1 millisecond'`,
+        [userId, windowMs, RG_REFUSED_STATUS]
+    );
+    return parseInt(res.rows[0].sessions, 10);
+}
+function getRgBreak(limits) {
+    if (!limits) return null;
+    if (limits.self_excluded_until && new Date(limits.self_excluded_until) > Date.now()) return { reason: 'self_excluded', until: limits.self_excluded_until };
+    if (limits.cool_off_until && new Date(limits.cool_off_until) > Date.now()) return { reason: 'cool_off', until: limits.cool_off_until };
+    return null;
+}
+// Returns { reason, ... } when the user may not put `stakeLamports` on a new game, otherwise null.
+async function checkRgLimits(userId, stakeLamports) {
+    const limits = await loadRgLimits(userId);
+    if (!limits) return null;
+    const onBreak = getRgBreak(limits);
+    if (onBreak) return onBreak;
+    if (limits.daily_session_limit !== null && await countRgRecentSessions(userId, RG_DAY_MS) >= limits.daily_session_limit) {
+        return { reason: 'session_limit', count: limits.daily_session_limit };
+    }
+    for (const [reason, column, windowMs] of [['daily_loss_limit', 'daily_loss_limit_lamports', RG_DAY_MS], ['weekly_loss_limit', 'weekly_loss_limit_lamports', RG_WEEK_MS]]) {
+        if (limits[column] === null) continue;
+        const loss = -await getRgNetResultLamports(userId, windowMs);
+        if (loss + BigInt(stakeLamports) > BigInt(limits[column])) return { reason, limitLamports: String(limits[column]) };
+    }
+    return null;
+}
+function getRgPlayerIds(session) {
+    const gameState = session.game_state_json || {};
+    const ids = [String(gameState.initiatorId || session.user_id)];
+    if (getGameMode(session.game_type) === GAME_MODES.PVP && gameState.opponentId) ids.push(String(gameState.opponentId));
+    return ids;
+}
+// The first player who may not play this session, as { userId, reason, ... }, or null.
+async function checkSessionRgLimits(session) {
+    if (session.game_state_json?.tournamentId) return null;
+    for (const userId of getRgPlayerIds(session)) {
+        const refusal = await checkRgLimits(userId, session.bet_amount_lamports);
+        if (refusal) return { userId, ...refusal };
+    }
+    return null;
+}
+async function refuseGameStart(session, refusal) {
+    const logger = sessionLog(session, 'ResponsibleGaming');
+    const gameState = { ...(session.game_state_json || {}), rgRefusal: refusal };
+    let client = null;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const res = await client.query("UPDATE interactive_game_sessions SET status = $1, helper_bot_id = $2, game_state_json = $3 WHERE session_id = $4 AND status = 'pending_pickup' RETURNING session_id", [RG_REFUSED_STATUS, MY_BOT_ID, JSON.stringify(gameState), session.session_id]);
+        if (res.rowCount === 0) { await client.query('ROLLBACK'); return; }
+        await publishEvent(client, 'completed', { session_id: session.session_id, status: RG_REFUSED_STATUS });
+        await publishEvent(client, 'refused', { session_id: session.session_id, user_id: refusal.userId, reason: refusal.reason });
+        await journalSession(client, session.session_id, 'refused', { actor: 'helper', userId: refusal.userId, reason: refusal.reason, until: refusal.until ?? null });
+        await client.query('COMMIT');
+    } catch (e) {
+        if (client) await client.query('ROLLBACK').catch(logIgnored('rollback'));
+        logger.error('Error refusing session', { err: e });
+        return;
+    } finally { if (client) client.release(); }
+    logger.info('Refused to start', { userId: refusal.userId, reason: refusal.reason });
+    incrementMetric('helper_games_refused_total', { reason: refusal.reason });
+
+    // In a group chat everyone reads the notice, so it doesn't say which limit was hit.
+    const isGroupChat = Number(session.chat_id) < 0;
+    const lang = await getLanguage(session.chat_id, refusal.userId, { shared: isGroupChat });
+    const name = refusal.userId === String(gameState.opponentId) ? gameState.opponentName : (gameState.initiatorName || tPlain(lang, 'common.player'));
+    const params = { name, game: getCleanGameNameHelper(session.game_type, lang), count: refusal.count, until: refusal.until ? formatUtcTime(refusal.until) : null };
+    if (refusal.limitLamports) params.limit = formatBalanceForDisplay(refusal.limitLamports, await getDisplayCurrency(session.chat_id, refusal.userId));
+    await queuedSendMessage(session.chat_id, t(lang, isGroupChat ? 'rg.refused.shared' : `rg.refused.${refusal.reason}`, params), { parse_mode: 'HTML' }).catch(logFailure('sendMessage'));
+}
+// Marks the user as playing now. Returns the minutes of continuous play when a reality check is due (and stamps
+// it as shown), otherwise null. Users without a limits row are not tracked.
+async function recordRgPlay(userId) {
+    const res = await pool.query(
+        `UPDATE helper_rg_limits SET play_started_at = CASE WHEN last_played_at IS NULL OR last_played_at < NOW() - $2 * INTERVAL '1 millisecond' THEN NOW() ELSE play_started_at END,
+         last_played_at = NOW() WHERE user_id = $1 RETURNING play_started_at, last_reality_check_at, reality_check_minutes`,
+        [userId, RG_PLAY_BREAK_MS]
+    );
+    const row = res.rows[0];
+    if (!row?.reality_check_minutes) return null;
+    const playStartedAt = new Date(row.play_started_at).getTime();
+    const lastCheckAt = Math.max(playStartedAt, row.last_reality_check_at ? new Date(row.last_reality_check_at).getTime() : 0);
+    if (Date.now() - lastCheckAt < row.reality_check_minutes * 60000) return null;
+    await pool.query("UPDATE helper_rg_limits SET last_reality_check_at = NOW() WHERE user_id = $1", [userId]);
+    return Math.floor((Date.now() - playStartedAt) / 60000);
+}
+// With `darts501`, the check replaces the next visit: its buttons throw or cash out, and the turn deadline restarts.
+async function postRealityCheck(session, userId, minutesPlayed, { darts501 = false } = {}) {
+    const gameState = session.game_state_json || {};
+    const lang = await getLanguage(session.chat_id, userId);
+    const net = await getRgNetResultLamports(userId, RG_DAY_MS);
+    const name = userId === String(gameState.opponentId) ? gameState.p2Name : gameState.p1Name;
+    const html = t(lang, 'rg.reality_check', { name, count: minutesPlayed, net: formatBalanceForDisplay(net, await getDisplayCurrency(session.chat_id, userId)) });
+    const options = { parse_mode: 'HTML' };
+    if (darts501) {
+        options.reply_markup = { inline_keyboard: [[
+            { text: tPlain(lang, 'rg.button.keep_playing'), callback_data: `interactive_continue:${session.session_id}` },
+            { text: tPlain(lang, 'rg.button.stop'), callback_data: `interactive_cashout:${session.session_id}` },
+        ]] };
+    }
+    const sentMsg = await queuedSendMessage(session.chat_id, html, options).catch(logFailure('sendMessage'));
+    if (!darts501) return;
+    stampTurnDeadline(gameState);
+    await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
+    await journalPrompt(session, gameState, 'reality_check', sentMsg?.message_id);
+    scheduleTurnTimers(session, gameState.turnDeadline, gameState.p1Name);
+}
+async function startRgPlay(session) {
+    for (const userId of getRgPlayerIds(session)) {
+        const minutesPlayed = await recordRgPlay(userId);
+        if (minutesPlayed !== null) await postRealityCheck(session, userId, minutesPlayed);
+    }
+}
+// Before a Darts 501 visit: { reason } when a break has started since the run began, { minutesPlayed } when a
+// reality check is due, otherwise null.
+async function getDarts501RgInterruption(session) {
+    const userId = String(session.game_state_json?.initiatorId || session.user_id);
+    const limits = await loadRgLimits(userId);
+    if (!limits) return null;
+    const onBreak = getRgBreak(limits);
+    if (onBreak) return onBreak;
+    const minutesPlayed = await recordRgPlay(userId);
+    return minutesPlayed === null ? null : { userId, minutesPlayed };
+}
+// Tightening applies now and drops any pending loosening of the same limit; loosening waits.
+async function setRgLimit(userId, setting, value) {
+    const current = await loadRgLimits(userId);
+    const currentValue = current?.[setting.column] ?? null;
+    const tighter = value !== null && (currentValue === null || BigInt(value) <= BigInt(currentValue));
+    if (tighter || (value === null && currentValue === null)) {
+        await pool.query(
+            `INSERT INTO helper_rg_limits (user_id, ${setting.column}) VALUES ($1, $2)
+             ON CONFLICT (user_id) DO UPDATE SET ${setting.column} = EXCLUDED.${setting.column}, pending_limits = helper_rg_limits.pending_limits - $3, updated_at = NOW()`,
+            [userId, value, setting.column]
+        );
+        return { effectiveAt: null };
+    }
+    const res = await pool.query(
+        `UPDATE helper_rg_limits SET pending_limits = COALESCE(pending_limits, '{}'::jsonb) || $2, pending_effective_at = NOW() + $3 * INTERVAL '1 millisecond', updated_at = NOW()
+         WHERE user_id = $1 RETURNING pending_effective_at`,
+        [userId, JSON.stringify({ [setting.column]: value }), RG_LIMIT_INCREASE_DELAY_MS]
+    );
+    return { effectiveAt: res.rows[0].pending_effective_at };
+}
+async function extendRgBreak(userId, column, durationMs) {
+    const res = await pool.query(
+        `INSERT INTO helper_rg_limits (user_id, ${column}) VALUES ($1, NOW() + $2 * INTERVAL '1 millisecond')
+         ON CONFLICT (user_id) DO UPDATE SET ${column} = GREATEST(helper_rg_limits.${column}, EXCLUDED.${column}), updated_at = NOW() RETURNING ${column} AS until`,
+        [userId, durationMs]
+    );
+    return res.rows[0].until;
+}
+function parseRgLimitValue(kind, raw) {
+    if (raw.toLowerCase() === 'off') return null;
+    if (kind === 'sol') {
+        const sol = parseFloat(raw);
+        return Number.isFinite(sol) && sol > 0 ? BigInt(Math.round(sol * Number(LAMPORTS_PER_SOL))).toString() : undefined;
+    }
+    const n = parseInt(raw, 10);
+    return /^\d+$/.test(raw) && n > 0 ? n : undefined;
+}
+function formatRgLimitValue(lang, kind, value) {
+    if (value === null || value === undefined) return tPlain(lang, 'rg.limits.off');
+    if (kind === 'sol') return solAmountLabel(value);
+    return tPlain(lang, `rg.limits.value.${kind}`, { count: value });
+}
+function renderRgLimits(lang, limits) {
+    const lines = [t(lang, 'rg.limits.title')];
+    for (const [name, setting] of Object.entries(RG_LIMIT_SETTINGS)) {
+        let line = t(lang, `rg.limits.${name}`, { value: formatRgLimitValue(lang, setting.kind, limits?.[setting.column] ?? null) });
+        const pending = limits?.pending_limits || {};
+        if (setting.column in pending) line += ' ' + t(lang, 'rg.limits.pending', { value: formatRgLimitValue(lang, setting.kind, pending[setting.column]), at: formatUtcTime(limits.pending_effective_at) });
+        lines.push(line);
+    }
+    for (const [name, column] of Object.entries(RG_BREAK_SETTINGS)) {
+        const until = limits?.[column] && new Date(limits[column]) > Date.now() ? formatUtcTime(limits[column]) : null;
+        lines.push(t(lang, `rg.limits.${name}`, { value: until || tPlain(lang, 'rg.limits.off') }));
+    }
+    return `${lines.join('\n')}\n\n${t(lang, 'rg.limits.usage')}`;
+}
+// /limits shows your limits; /limits daily 0.5, /limits sessions 20, /limits reality 30 (or "off") change one;
+// /limits cooloff 24h and /limits exclude 180d start or extend a break.
+async function handleLimitsCommand(msg, match) {
+    const chatId = msg.chat.id;
+    const userId = String(msg.from.id);
+    const name = match[1]?.toLowerCase();
+    const raw = match[2];
+    try {
+        const lang = await getLanguage(chatId, userId, { telegramLanguage: msg.from.language_code });
+        const reply = (html) => queuedSendMessage(chatId, html, { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+        if (!name) return reply(renderRgLimits(lang, await loadRgLimits(userId)));
+        if (RG_LIMIT_SETTINGS[name] && raw) {
+            const setting = RG_LIMIT_SETTINGS[name];
+            const value = parseRgLimitValue(setting.kind, raw);
+            if (value === undefined) return reply(t(lang, 'rg.limits.invalid'));
+            const { effectiveAt } = await setRgLimit(userId, setting, value);
+            const params = { limit: tPlain(lang, `rg.limits.name.${name}`), value: formatRgLimitValue(lang, setting.kind, value) };
+            return reply(effectiveAt ? t(lang, 'rg.limits.loosening', { ...params, at: formatUtcTime(effectiveAt) }) : t(lang, 'rg.limits.set', params));
+        }
+        if (RG_BREAK_SETTINGS[name] && raw) {
+            const duration = /^(\d+)([hd])$/i.exec(raw);
+            const durationMs = duration ? parseInt(duration[1], 10) * (duration[2].toLowerCase() === 'd' ? RG_DAY_MS : 60 * 60 * 1000) : 0;
+            if (!durationMs || durationMs > RG_MAX_BREAK_MS) return reply(t(lang, 'rg.limits.invalid'));
+            const until = await extendRgBreak(userId, RG_BREAK_SETTINGS[name], durationMs);
+            return reply(t(lang, name === 'exclude' ? 'rg.limits.excluded' : 'rg.limits.cooling_off', { until: formatUtcTime(until) }));
+        }
+        await reply(t(lang, 'rg.limits.invalid'));
+    } catch (e) { log.error('Limits command failed', { component: 'Limits', err: e }); }
+}
+
+
+// --- ADMIN COMMANDS ---
+// Operator tooling, only for ADMIN_USER_IDS: /admin_sessions, /admin_session <id>, /admin_finalize <id> <status>,
+// /admin_refund <id> [reason], /admin_void <id> [reason], /admin_journal <id>, /admin_pause and /admin_resume.
+// Every invocation, including refused ones, is written to helper_admin_audit.
+const ADMIN_FINALIZE_STATUSES = ['pvb_resolve', 'pvp_resolve', 'group_resolve', 'completed_win', 'completed_loss', 'completed_push', 'completed_cashout', 'completed_p1_win', 'completed_p2_win', 'completed_timeout'];
+async function recordAdminAudit(adminUserId, command, sessionId, args, outcome) {
+    await pool.query(
+        "INSERT INTO helper_admin_audit (admin_user_id, helper_bot_id, command, session_id, args, outcome) VALUES ($1, $2, $3, $4, $5, $6)",
+        [adminUserId, MY_BOT_ID, command, sessionId, args || null, outcome]
+    ).catch(e => log.error('Could not write admin audit row', { component: 'Admin', command, err: e }));
+}
+async function loadAdminTargetSession(sessionIdArg) {
+    if (!/^\d+$/.test(sessionIdArg || '')) return { error: "Give a numeric session id." };
+    const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [sessionIdArg]);
+    if (res.rowCount === 0) return { error: `Session ${sessionIdArg} not found.` };
+    return { session: res.rows[0] };
+}
+// Sends an open session through finalizeGame with the admin's status. A session still waiting for pickup
+// is claimed by this helper first, since finalizeGame only settles in-progress sessions.
+async function adminFinalizeSession(session, finalStatus, adminAction) {
+    if (!['pending_pickup', 'in_progress'].includes(session.status)) return `Session ${session.session_id} is already ${session.status}.`;
+    if (session.status === 'pending_pickup') {
+        const claimed = await pool.query("UPDATE interactive_game_sessions SET status = 'in_progress', helper_bot_id = $1, lease_expires_at = NOW() + $3 * INTERVAL '1 millisecond' WHERE session_id = $2 AND status = 'pending_pickup' RETURNING *", [MY_BOT_ID, session.session_id, SESSION_LEASE_TTL_MS]);
+        if (claimed.rowCount === 0) return `Session ${session.session_id} was picked up meanwhile. Try again.`;
+        session = claimed.rows[0];
+        myActiveSessionCount++;
+    }
+    const gameState = session.game_state_json || {};
+    gameState.adminAction = adminAction;
+    await finalizeGame(session, finalStatus, gameState);
+    const after = await pool.query("SELECT status FROM interactive_game_sessions WHERE session_id = $1", [session.session_id]);
+    return `Session ${session.session_id} is now <b>${escape(after.rows[0]?.status)}</b>.`;
+}
+const ADMIN_COMMANDS = {
+    async sessions() {
+        const res = await pool.query("SELECT session_id, game_type, user_id, chat_id, created_at FROM interactive_game_sessions WHERE helper_bot_id = $1 AND status = 'in_progress' ORDER BY created_at ASC LIMIT 50", [MY_BOT_ID]);
+        let html = `🛠 <b>${escape(MY_BOT_ID)}</b>: ${res.rowCount} active session(s)${pickupsPaused ? ' <i>(pickups paused)</i>' : ''}\n\n`;
+        html += res.rows.map(r => `#${r.session_id} ${escape(r.game_type)} | user ${r.user_id} | chat ${r.chat_id} | ${Math.round((Date.now() - new Date(r.created_at).getTime()) / 60000)} min`).join('\n') || '<i>None.</i>';
+        return { html };
+    },
+    async session([sessionIdArg]) {
+        const { session, error } = await loadAdminTargetSession(sessionIdArg);
+        if (error) return { html: escape(error), outcome: 'rejected' };
+        const dump = JSON.stringify(session.game_state_json, null, 2) || 'null';
+        const clipped = dump.length > 3500 ? `${dump.slice(0, 3500)}\n… (${dump.length - 3500} more chars)` : dump;
+        let html = `🛠 <b>Session #${session.session_id}</b> ${escape(session.game_type)} | ${escape(session.status)} | helper ${escape(session.helper_bot_id || '-')}\n`;
+        html += `Stake: ${session.bet_amount_lamports} lamports | lease until ${session.lease_expires_at ? new Date(session.lease_expires_at).toISOString() : '-'}\n`;
+        html += `<pre>${escape(clipped)}</pre>`;
+        return { html, sessionId: session.session_id };
+    },
+    // The session's journal as a timeline, for disputes. Long journals keep their first and last entries.
+    async journal([sessionIdArg]) {
+        const { session, error } = await loadAdminTargetSession(sessionIdArg);
+        if (error) return { html: escape(error), outcome: 'rejected' };
+        const entries = await loadSessionJournal(session.session_id);
+        let timeline = renderJournalTimeline(entries) || '(no entries)';
+        if (timeline.length > 3500) timeline = `${timeline.slice(0, 1700)}\n… (${timeline.length - 3400} chars omitted)\n${timeline.slice(-1700)}`;
+        let html = `🧾 <b>Journal #${session.session_id}</b> ${escape(session.game_type)} | ${escape(session.status)} | ${entries.length} entries\n`;
+        if (entries[0]) html += `Started ${new Date(entries[0].created_at).toISOString().slice(0, 10)} (UTC)\n`;
+        html += `<pre>${escape(timeline)}</pre>`;
+        return { html, sessionId: session.session_id };
+    },
+    async finalize([sessionIdArg, finalStatus], adminId) {
+        if (!ADMIN_FINALIZE_STATUSES.includes(finalStatus)) return { html: `Usage: /admin_finalize &lt;session_id&gt; &lt;status&gt;\nStatuses: ${ADMIN_FINALIZE_STATUSES.join(', ')}`, outcome: 'rejected' };
+        const { session, error } = await loadAdminTargetSession(sessionIdArg);
+        if (error) return { html: escape(error), outcome: 'rejected' };
+        return { html: await adminFinalizeSession(session, finalStatus, { command: 'finalize', adminId, status: finalStatus }), sessionId: session.session_id };
+    },
+    // Refund returns every stake: a push for PvB/PvP/Darts, a cancellation for group rounds.
+    async refund([sessionIdArg, ...reason], adminId) {
+        const { session, error } = await loadAdminTargetSession(sessionIdArg);
+        if (error) return { html: escape(error), outcome: 'rejected' };
+        const finalStatus = getGameMode(session.game_type) === GAME_MODES.GROUP ? 'group_cancelled' : 'completed_push';
+        return { html: await adminFinalizeSession(session, finalStatus, { command: 'refund', adminId, reason: reason.join(' ') || null }), sessionId: session.session_id };
+    },
+    // Void settles the session the same way the 'void' timeout rule does.
+    async void([sessionIdArg, ...reason], adminId) {
+        const { session, error } = await loadAdminTargetSession(sessionIdArg);
+        if (error) return { html: escape(error), outcome: 'rejected' };
+        return { html: await adminFinalizeSession(session, 'completed_timeout', { command: 'void', adminId, reason: reason.join(' ') || null }), sessionId: session.session_id };
+    },
+    async pause() {
+        pickupsPaused = true;
+        log.warn('New pickups paused', { component: 'Admin' });
+        return { html: `⏸ New pickups paused on <b>${escape(MY_BOT_ID)}</b>. Running games continue.` };
+    },
+    async resume() {
+        pickupsPaused = false;
+        log.info('New pickups resumed', { component: 'Admin' });
+        return { html: `▶️ New pickups resumed on <b>${escape(MY_BOT_ID)}</b>.` };
+    },
+};
+async function handleAdminCommand(msg, match) {
+    const adminId = String(msg.from?.id);
+    const command = match[1];
+    const args = (match[2] || '').trim().split(/\s+/).filter(Boolean);
+    const sessionIdArg = /^\d+$/.test(args[0] || '') ? parseInt(args[0], 10) : null;
+    if (!ADMIN_USER_IDS.has(adminId)) {
+        log.warn('Refused admin command from non-admin', { component: 'Admin', command, userId: adminId });
+        await recordAdminAudit(adminId, command, sessionIdArg, args.join(' '), 'denied');
+        return;
+    }
+    const handler = ADMIN_COMMANDS[command];
+    if (!handler) return queuedSendMessage(msg.chat.id, `Unknown admin command. Available: ${Object.keys(ADMIN_COMMANDS).map(c => `/admin_${c}`).join(', ')}`).catch(logIgnored('sendMessage'));
+    try {
+        const result = await handler(args, adminId);
+        await recordAdminAudit(adminId, command, result.sessionId ?? sessionIdArg, args.join(' '), result.outcome || 'ok');
+        await queuedSendMessage(msg.chat.id, result.html, { parse_mode: 'HTML' }).catch(logFailure('sendMessage'));
+    } catch (e) {
+        log.error('Admin command failed', { component: 'Admin', command, err: e });
+        await recordAdminAudit(adminId, command, sessionIdArg, args.join(' '), `error: ${e.message}`);
+        await queuedSendMessage(msg.chat.id, `Admin command failed: ${escape(e.message)}`, { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+    }
+}
+
+
 // --- EVENT HANDLERS & MAIN LOOP ---
-bot.on('callback_query', async (callbackQuery) => {
+async function handleCallbackQuery(callbackQuery) {
     const data = callbackQuery.data;
     const fromId = String(callbackQuery.from.id);
     if (!data) return;
-    const [action, sessionId] = data.split(':');
+    const [action, sessionId, ...args] = data.split(':');
+    if (action.startsWith('tourney_')) return handleTournamentCallback(callbackQuery, action, sessionId);
+    if (action === 'sidebet') return handleSideBetCallback(callbackQuery, sessionId, args[0], parseInt(args[1], 10));
+    if (action === 'group_join') return handleGroupJoin(callbackQuery, sessionId);
+    if (action === 'rematch') return handleRematchCallback(callbackQuery, sessionId, args[0], args[1]);
+    if (action === 'history') return handleHistoryCallback(callbackQuery, sessionId, parseInt(args[0], 10));
+
+    if (action === 'group_start') {
+        // Any lobby member may see the button, but only the host (the session's user) may press it.
+        const lang = await getLanguage(callbackQuery.message?.chat?.id, fromId, { telegramLanguage: callbackQuery.from.language_code });
+        const lobbyRes = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [sessionId]);
+        const lobby = lobbyRes.rows[0];
+        if (!lobby || lobby.status !== 'in_progress' || String(lobby.user_id) !== fromId) return bot.answerCallbackQuery(callbackQuery.id, { text: tPlain(lang, 'group.host_only') }).catch(logIgnored('answerCallbackQuery'));
+        if ((lobby.game_state_json?.players || []).length < GROUP_MIN_PLAYERS) return bot.answerCallbackQuery(callbackQuery.id, { text: tPlain(lang, 'group.not_enough_players', { count: GROUP_MIN_PLAYERS }) }).catch(logIgnored('answerCallbackQuery'));
+    }
 
     const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [sessionId]);
     if (res.rowCount === 0 || res.rows[0].status !== 'in_progress' || String(res.rows[0].user_id) !== fromId) {
-        return bot.answerCallbackQuery(callbackQuery.id).catch(()=>{});
+        return bot.answerCallbackQuery(callbackQuery.id).catch(logIgnored('answerCallbackQuery'));
     }
     const session = res.rows[0];
+    // Records the player's Telegram language for the answer and the boards that follow.
+    await getLanguage(session.chat_id, fromId, { telegramLanguage: callbackQuery.from.language_code });
+
+    if (session.helper_bot_id !== MY_BOT_ID) {
+        // Only one helper polls a shared token; hand the tap to whichever helper owns the session.
+        await bot.answerCallbackQuery(callbackQuery.id).catch(logIgnored('answerCallbackQuery'));
+        await publishEvent(pool, 'session_action', { session_id: session.session_id, helper_bot_id: session.helper_bot_id, action, args });
+        return;
+    }
+    await handleSessionAction(session, action, callbackQuery.id, args);
+}
+async function handleSessionAction(session, action, callbackQueryId = null, args = []) {
+    const answer = async (key, params) => {
+        if (!callbackQueryId) return;
+        const options = key ? { text: tPlain(await getLanguage(session.chat_id, session.user_id), key, params) } : {};
+        await bot.answerCallbackQuery(callbackQueryId, options).catch(logIgnored('answerCallbackQuery'));
+    };
 
     // This logic is now primarily for Darts 501
-    if (action === 'interactive_cashout') {
-        await bot.answerCallbackQuery(callbackQuery.id, { text: "Cashing out..." }).catch(() => {});
+    const pickingTier = session.game_state_json?.phase === 'choosing_tier';
+    if ((action === 'interactive_cashout' || action === 'interactive_continue') && pickingTier) {
+        await answer('darts501.pick_board_first');
+    } else if (action === 'interactive_cashout') {
+        clearTurnTimers(session.session_id);
+        await answer('darts501.cashing_out');
+        await journal(session.session_id, 'cash_out', { actor: session.user_id, visit: session.game_state_json?.currentVisit ?? null, multiplier: session.game_state_json?.currentMultiplier ?? null });
         await finalizeGame(session, 'completed_cashout');
     } else if (action === 'interactive_continue') {
-        await bot.answerCallbackQuery(callbackQuery.id).catch(() => {});
-        if (session.game_type === 'darts_501') {
+        clearTurnTimers(session.session_id);
+        if (session.game_state_json?.promptSentAt) observeMetric('helper_turn_latency_seconds', { game_type: session.game_type }, (Date.now() - session.game_state_json.promptSentAt) / 1000);
+        if (getGameMode(session.game_type) !== GAME_MODES.SOLO_PROGRESSIVE) return answer();
+        // A break taken mid-run banks the run as it stands; a due reality check holds the next visit.
+        const interruption = await getDarts501RgInterruption(session).catch(e => { sessionLog(session, 'ResponsibleGaming').error('Limit check failed', { err: e }); return null; });
+        if (interruption?.reason) {
+            await answer('rg.stopped');
+            await journal(session.session_id, 'cash_out', { actor: 'helper', visit: session.game_state_json.currentVisit ?? null, multiplier: session.game_state_json.currentMultiplier ?? null, rgStop: interruption.reason });
+            await finalizeGame(session, 'completed_cashout', { ...session.game_state_json, rgStop: interruption.reason });
+        } else if (interruption) {
+            await answer();
+            await postRealityCheck(session, interruption.userId, interruption.minutesPlayed, { darts501: true });
+        } else {
+            await answer();
             await handleDarts501Continue(session);
         }
+    } else if (action === 'group_start') {
+        await answer();
+        await startGroupGame(session);
+    } else if (action === 'd501_doubleout' && pickingTier) {
+        await answer();
+        session.game_state_json.doubleOut = !session.game_state_json.doubleOut;
+        await pool.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(session.game_state_json), session.session_id]);
+        await showDarts501TierPicker(session.session_id);
+    } else if (action === 'd501_tier' && pickingTier) {
+        clearTurnTimers(session.session_id);
+        await answer('darts501.game_on', { tier: getDarts501TierLabel(await getLanguage(session.chat_id, session.user_id), args[0]) });
+        await startDarts501Tier(session, args[0], !!session.game_state_json.doubleOut);
+    } else {
+        await answer();
     }
-});
-async function handleGameTimeout(sessionId) {
-    const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [sessionId]);
-    if (res.rowCount > 0 && res.rows[0].status === 'in_progress') { await finalizeGame(res.rows[0], 'completed_timeout'); }
 }
+async function handleVerifyCommand(msg, match) {
+    const sessionId = match[1];
+    const lang = await getLanguage(msg.chat.id, msg.from?.id, { telegramLanguage: msg.from?.language_code });
+    const res = await pool.query("SELECT status, game_type, game_state_json FROM interactive_game_sessions WHERE session_id = $1", [sessionId]).catch(logFailure('loadSession'));
+    if (!res || res.rowCount === 0) return queuedSendMessage(msg.chat.id, tPlain(lang, 'verify.not_found')).catch(logIgnored('sendMessage'));
+    const { status, game_type, game_state_json: gameState } = res.rows[0];
+    if (!gameState?.fairness) return queuedSendMessage(msg.chat.id, tPlain(lang, 'verify.not_fair')).catch(logIgnored('sendMessage'));
+    if (status === 'in_progress') return queuedSendMessage(msg.chat.id, tPlain(lang, 'verify.in_progress')).catch(logIgnored('sendMessage'));
+
+    const result = verifyProvablyFairGame(gameState);
+    if (!result.verifiable) return queuedSendMessage(msg.chat.id, tPlain(lang, 'verify.not_revealed')).catch(logIgnored('sendMessage'));
+    let text = t(lang, 'verify.title', { game: getCleanGameNameHelper(game_type, lang), id: sessionId }) + '\n\n';
+    text += t(lang, 'verify.server_seed', { seed: gameState.fairness.serverSeed }) + '\n';
+    text += t(lang, result.hashMatches ? 'verify.hash_ok' : 'verify.hash_mismatch') + '\n';
+    text += t(lang, 'verify.house_edge', { edge: (gameState.fairness.houseEdge * 100).toFixed(2) }) + '\n\n';
+    text += result.rounds.map(r => `${t(lang, 'verify.round', { round: r.round, recorded: r.recorded, expected: r.expected })} ${r.match ? '✅' : '❌'}`).join('\n');
+    text += '\n\n' + t(lang, result.valid ? 'verify.valid' : 'verify.invalid');
+    await queuedSendMessage(msg.chat.id, text, { parse_mode: 'HTML' }).catch(logIgnored('sendMessage'));
+}
+// Live notifications and outbox replays both land here. Events are de-duplicated by event_id, since
+// a replay can overlap with notifications that arrive while it runs.
+const recentEventIds = new Set();
+const RECENT_EVENT_IDS_LIMIT = 1000;
 async function handleNotification(msg) {
+    listenerState.lastNotificationAt = Date.now();
     try {
-        const payload = JSON.parse(msg.payload);
-        const mainBotGameId = payload.session?.main_bot_game_id || payload.main_bot_game_id;
-        const sessionId = payload.session?.session_id || payload.session_id;
-
-        if (msg.channel === 'game_session_pickup' && mainBotGameId) {
-            const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE main_bot_game_id = $1", [mainBotGameId]);
-            if (res.rows.length > 0) await handleGameStart(res.rows[0]);
-        } else if (msg.channel === 'interactive_roll_submitted' && sessionId) {
-            const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [sessionId]);
-            if (res.rows.length > 0) {
-                const lastRoll = res.rows[0].game_state_json?.lastRoll;
-                if (typeof lastRoll === 'number') {
-                    await handleRollSubmitted(res.rows[0], lastRoll);
-                }
+        const event = await parseIncomingEvent(msg.channel, msg.payload);
+        if (event.error) { log.warn('Rejected event', { component: 'Events', channel: msg.channel, reason: event.error }); return; }
+        await handleEvent(event);
+    } catch (e) { log.error('Error processing notification', { component: 'Events', channel: msg.channel, err: e }); }
+}
+function handleEvent(event) {
+    const correlationId = event.eventId !== null ? `event-${event.eventId}` : newCorrelationId('event');
+    return log.withContext({ correlationId, sessionId: event.payload?.session_id, eventType: event.type }, () => dispatchEvent(event));
+}
+async function dispatchEvent({ type, eventId, payload }) {
+    if (eventId !== null) {
+        if (recentEventIds.has(String(eventId))) return;
+        recentEventIds.add(String(eventId));
+        if (recentEventIds.size > RECENT_EVENT_IDS_LIMIT) recentEventIds.delete(recentEventIds.values().next().value);
+    }
+    const sessionId = payload.session_id;
+
+    if (type === 'pickup' && !payload.helper_bot_id) {
+        // Pickups announced by a helper (helper_bot_id set) are claims, not requests.
+        const res = payload.session_id
+            ? await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [payload.session_id])
+            : await pool.query("SELECT * FROM interactive_game_sessions WHERE main_bot_game_id = $1", [payload.main_bot_game_id]);
+        if (res.rows.length > 0 && res.rows[0].status === 'pending_pickup' && await shouldAcceptPickup(res.rows[0])) await handleGameStart(res.rows[0]);
+    } else if (type === 'roll_submitted') {
+        const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [sessionId]);
+        if (res.rows.length > 0 && res.rows[0].helper_bot_id === MY_BOT_ID) {
+            const lastRoll = res.rows[0].game_state_json?.lastRoll;
+            const rollMeta = payload.roll || res.rows[0].game_state_json?.lastRollMeta || null;
+            if (typeof lastRoll === 'number') {
+                await handleRollSubmitted(res.rows[0], lastRoll, rollMeta);
             }
         }
-    } catch (e) { console.error('[Helper] Error processing notification payload:', e); }
+    } else if (type === 'session_action' && payload.helper_bot_id === MY_BOT_ID) {
+        const res = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1 AND helper_bot_id = $2 AND status = 'in_progress'", [sessionId, MY_BOT_ID]);
+        if (res.rows.length > 0) await handleSessionAction(res.rows[0], payload.action, null, payload.args || []);
+    }
+    if (eventId !== null) {
+        await pool.query("UPDATE helper_event_cursors SET last_event_id = GREATEST(last_event_id, $2), updated_at = NOW() WHERE helper_bot_id = $1", [MY_BOT_ID, eventId]);
+    }
+}
+// Replays inbound outbox events published since this helper's cursor, i.e. while its listener was down.
+// The first run starts the cursor at the current end of the outbox rather than replaying history.
+// Only helpers write to the outbox; what the main bot NOTIFYs directly is recovered by rescanOwnedSessions.
+async function replayMissedEvents() {
+    await pool.query("INSERT INTO helper_event_cursors (helper_bot_id, last_event_id) SELECT $1, COALESCE(MAX(event_id), 0) FROM helper_event_outbox ON CONFLICT (helper_bot_id) DO NOTHING", [MY_BOT_ID]);
+    const channels = INBOUND_EVENT_TYPES.map(type => EVENT_SCHEMAS[type].channel);
+    const missed = await pool.query(
+        `SELECT o.* FROM helper_event_outbox o, helper_event_cursors c
+         WHERE c.helper_bot_id = $1 AND o.event_id > c.last_event_id AND o.channel = ANY($2) AND o.source <> $1
+         ORDER BY o.event_id ASC`,
+        [MY_BOT_ID, channels]
+    );
+    if (missed.rowCount > 0) log.info('Replaying events missed while disconnected', { component: 'Events', events: missed.rowCount });
+    for (const row of missed.rows) {
+        const problem = validateEventPayload(row.event_type, row.payload);
+        if (problem) { log.warn('Skipping invalid outbox event', { component: 'Events', eventId: row.event_id, reason: problem }); continue; }
+        await handleEvent({ type: row.event_type, eventId: row.event_id, payload: row.payload }).catch(e => log.error('Error replaying event', { component: 'Events', eventId: row.event_id, err: e }));
+    }
 }
 async function setupNotificationListeners() {
-    console.log("⚙️ [Helper] Setting up notification listeners...");
+    log.info('Setting up notification listeners', { component: 'Events' });
     const listeningClient = await pool.connect();
-    listeningClient.on('error', (err) => { console.error('[Helper] Listener client error:', err); setTimeout(setupNotificationListeners, 5000); });
+    listeningClient.on('error', (err) => {
+        listenerState.connected = false;
+        listenerState.lastError = err.message;
+        log.error('Listener client error', { component: 'Events', err });
+        listeningClient.release(err);
+        setTimeout(() => setupNotificationListeners().catch(e => log.error('Error re-establishing listeners', { component: 'Events', err: e })), 5000);
+    });
     listeningClient.on('notification', handleNotification);
-    await listeningClient.query('LISTEN game_session_pickup');
-    await listeningClient.query('LISTEN interactive_roll_submitted');
-    console.log("✅ [Helper] Now listening for 'game_session_pickup' and 'interactive_roll_submitted'.");
+    const channels = INBOUND_EVENT_TYPES.map(type => EVENT_SCHEMAS[type].channel);
+    for (const channel of channels) await listeningClient.query(`LISTEN ${channel}`);
+    listenerState.connected = true;
+    listenerState.connectedAt = Date.now();
+    log.info('Listening for events', { component: 'Events', channels });
+    await replayMissedEvents();
+    await rescanOwnedSessions();
+}
+// The main bot's pickups and rolls are plain NOTIFYs, lost while the listener was down. Pickups are still
+// 'pending_pickup' rows, which the fallback poller starts (rematches once stakes_debited_at is set); a roll the main bot stored in lastRoll while this
+// helper's session was awaiting one is applied now.
+async function rescanOwnedSessions() {
+    const res = await pool.query(
+        "SELECT * FROM interactive_game_sessions WHERE helper_bot_id = $1 AND status = 'in_progress' AND game_state_json->>'awaitingRoll' = 'true' AND jsonb_typeof(game_state_json->'lastRoll') = 'number'",
+        [MY_BOT_ID]
+    );
+    if (res.rowCount > 0) log.info('Applying rolls missed while disconnected', { component: 'Events', sessions: res.rowCount });
+    for (const session of res.rows) {
+        const { lastRoll, lastRollMeta } = session.game_state_json;
+        await log.withContext({ correlationId: newCorrelationId('rescan'), sessionId: session.session_id }, () => handleRollSubmitted(session, lastRoll, lastRollMeta || null))
+            .catch(e => sessionLog(session, 'Events').error('Error applying missed roll', { err: e }));
+    }
+    await processPendingGames();
 }
 async function processPendingGames() {
     if (processPendingGames.isRunning) return;
     processPendingGames.isRunning = true;
-    let client = null;
     try {
-        client = await pool.connect();
-        const pendingSessions = await client.query("SELECT * FROM interactive_game_sessions WHERE status = 'pending_pickup' ORDER BY created_at ASC LIMIT 5");
+        // A rematch only starts once the main bot has recorded debiting the stakes.
+        const pendingSessions = await pool.query("SELECT * FROM interactive_game_sessions WHERE status = 'pending_pickup' AND (game_state_json->>'awaitingStakes' IS NULL OR stakes_debited_at IS NOT NULL) ORDER BY created_at ASC LIMIT 5");
         for (const session of pendingSessions.rows) {
-            await client.query(`NOTIFY game_session_pickup, '${JSON.stringify({ session: session })}'`);
+            if (await shouldAcceptPickup(session)) await log.withContext({ correlationId: newCorrelationId('poll'), sessionId: session.session_id }, () => handleGameStart(session));
         }
-    } catch (e) { console.error(`[Helper Fallback Poller] Error: ${e.message}`); } finally { if (client) client.release(); processPendingGames.isRunning = false; }
+    } catch (e) { log.error('Fallback poller failed', { component: 'FallbackPoller', err: e }); } finally { processPendingGames.isRunning = false; }
 }
 processPendingGames.isRunning = false;
 
 // --- UTILITY FUNCTIONS ---
 function escape(text) { if (text === null || typeof text === 'undefined') return ''; return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#039;');}
-async function getSolUsdPrice() { const cached = solPriceCache.get(SOL_PRICE_CACHE_KEY); if (cached && (Date.now() - cached.timestamp < SOL_USD_PRICE_CACHE_TTL_MS)) return cached.price; try { const price = parseFloat((await axios.get('https://api.binance.com/api/v3/ticker/price?symbol=SOLUSDT', { timeout: 8000 })).data?.price); solPriceCache.set(SOL_PRICE_CACHE_KEY, { price, timestamp: Date.now() }); return price; } catch (e) { try { const price = parseFloat((await axios.get('https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd', { timeout: 8000 })).data?.solana?.usd); solPriceCache.set(SOL_PRICE_CACHE_KEY, { price, timestamp: Date.now() }); return parseFloat(price); } catch (e2) { if (cached) return cached.price; throw new Error("Could not retrieve SOL/USD price."); } }}
-function convertLamportsToUSDString(lamports, solUsdPrice, d = 2) { if (typeof solUsdPrice !== 'number' || solUsdPrice <= 0) return 'N/A'; const sol = Number(BigInt(lamports)) / Number(LAMPORTS_PER_SOL); return `$${(sol * solUsdPrice).toLocaleString('en-US', { minimumFractionDigits: d, maximumFractionDigits: d })}`;}
-async function formatBalanceForDisplay(lamports, currency = 'USD') { if (currency === 'USD') { try { const price = await getSolUsdPrice(); return convertLamportsToUSDString(lamports, price); } catch (e) { return 'N/A'; } } return `${(Number(BigInt(lamports)) / Number(LAMPORTS_PER_SOL)).toFixed(SOL_DECIMALS)} SOL`;}
-function getShotsPerPlayer(gameType) { const lt = String(gameType).toLowerCase(); if (lt.includes('bowling_duel_pvp')) return PVP_BOWLING_FRAMES; if (lt.includes('basketball_clash_pvp')) return PVP_BASKETBALL_SHOTS; if (lt.includes('darts_duel_pvp')) return PVP_DARTS_THROWS; return 1; }
-function calculateFinalScore(gameType, rolls) { const safeRolls = rolls || []; if (safeRolls.length === 0) return 0; if (gameType.includes('basketball')) return safeRolls.filter(r => r >= 4).length; return safeRolls.reduce((a, b) => a + b, 0); }
-function getCleanGameNameHelper(gameType) {
-    if (!gameType) return "Game";
-    const lt = String(gameType).toLowerCase();
-    if (lt.includes('bowling_duel_pvp')) return "Bowling Duel";
-    if (lt.includes('darts_duel_pvp')) return "Darts Showdown";
-    if (lt.includes('basketball_clash_pvp')) return "3-Point Clash";
-    if (lt === 'bowling') return "Kingpin's Challenge";
-    if (lt === 'darts') return "Bullseye Blitz";
-    if (lt === 'darts_501') return "Darts 501 Challenge";
-    if (lt === 'basketball') return "3-Point Hoops";
-    return "Game";
-}
-function getGameEmoji(gameType) { if (gameType.includes('bowling')) return '🎳'; if (gameType.includes('darts')) return '🎯'; if (gameType.includes('basketball')) return '🏀'; return '🎲'; }
-function formatRollsHelper(rolls) { if (!rolls || rolls.length === 0) return '...'; return rolls.map(r => `<b>${r}</b>`).join(' '); }
+function formatBalanceForDisplay(lamports, currency = DEFAULT_DISPLAY_CURRENCY) { return priceOracle.formatLamports(lamports, currency); }
+function getTurnsPerPlayer(gameType) { return getGameDefinition(gameType)?.turns || 1; }
+function calculateFinalScore(gameType, rolls) { const def = getGameDefinition(gameType); if (!def || !rolls || rolls.length === 0) return 0; return def.score(rolls); }
+// With a language, the catalog's game.<key> name wins over the registry's English displayName.
+function getCleanGameNameHelper(gameType, lang = null) {
+    const def = getGameDefinition(gameType);
+    if (!def) return lang ? tPlain(lang, 'game.unknown') : "Game";
+    return lang && translator.has(`game.${def.key}`) ? tPlain(lang, `game.${def.key}`) : def.displayName;
+}
+function formatScoreLabel(lang, entry) { return t(lang, entry.label, entry.labelParams || {}); }
+function getGameEmoji(gameType) { return getGameDefinition(gameType)?.emoji || '🎲'; }
+function formatScoreCardHelper(gameType, rolls) {
+    if (!rolls || rolls.length === 0) return '...';
+    const def = getGameDefinition(gameType);
+    if (!def) return rolls.map(r => `<b>${r}</b>`).join(' ');
+    return def.scoreCard(rolls).entries.map(e => e.bonus ? `<b>${e.short}</b><i>(+${e.bonus})</i>` : `<b>${e.short}</b>`).join(' ');
+}
+
+// --- HTTP: HEALTH, METRICS & SESSION INSPECTION ---
+// Counters and histograms are kept in memory and rendered in the Prometheus text format on /metrics.
+const TURN_LATENCY_BUCKETS_SECONDS = [1, 2, 5, 10, 20, 30, 45, 60, 120];
+const METRIC_HELP = {
+    helper_games_started_total: ['counter', 'Games this helper started, by game type.'],
+    helper_games_finalized_total: ['counter', 'Games this helper finalized, by game type and final status.'],
+    helper_turn_timeouts_total: ['counter', 'Turn deadlines that expired, by game type and applied rule.'],
+    helper_games_refused_total: ['counter', 'Games refused at start by responsible-gaming limits, by reason.'],
+    helper_turn_latency_seconds: ['histogram', 'Time from a turn prompt to the player acting on it.'],
+};
+const metricCounters = new Map();
+const metricHistograms = new Map();
+const metricKey = (name, labels) => `${name}|${JSON.stringify(labels)}`;
+function incrementMetric(name, labels = {}, amount = 1) {
+    const key = metricKey(name, labels);
+    const entry = metricCounters.get(key) || { name, labels, value: 0 };
+    entry.value += amount;
+    metricCounters.set(key, entry);
+}
+function observeMetric(name, labels, value) {
+    const key = metricKey(name, labels);
+    const entry = metricHistograms.get(key) || { name, labels, buckets: TURN_LATENCY_BUCKETS_SECONDS.map(() => 0), sum: 0, count: 0 };
+    TURN_LATENCY_BUCKETS_SECONDS.forEach((bound, i) => { if (value <= bound) entry.buckets[i]++; });
+    entry.sum += value;
+    entry.count++;
+    metricHistograms.set(key, entry);
+}
+function formatMetricLabels(labels) {
+    const parts = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+function renderPrometheusMetrics() {
+    const lines = [];
+    const header = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [name, [type, help]] of Object.entries(METRIC_HELP)) {
+        header(name, type, help);
+        if (type === 'counter') {
+            for (const entry of metricCounters.values()) if (entry.name === name) lines.push(`${name}${formatMetricLabels(entry.labels)} ${entry.value}`);
+        } else {
+            for (const entry of metricHistograms.values()) {
+                if (entry.name !== name) continue;
+                TURN_LATENCY_BUCKETS_SECONDS.forEach((bound, i) => lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: bound })} ${entry.buckets[i]}`));
+                lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${name}_sum${formatMetricLabels(entry.labels)} ${entry.sum}`, `${name}_count${formatMetricLabels(entry.labels)} ${entry.count}`);
+            }
+        }
+    }
+    const send = getTelegramSendMetrics();
+    const gauges = [
+        ['helper_active_sessions', 'gauge', 'Sessions this helper currently owns.', myActiveSessionCount],
+        ['helper_pickups_paused', 'gauge', '1 while an admin has paused new pickups.', pickupsPaused ? 1 : 0],
+        ['helper_listener_connected', 'gauge', '1 while the LISTEN client is connected.', listenerState.connected ? 1 : 0],
+        ['helper_telegram_send_queue_depth', 'gauge', 'Telegram calls waiting in per-chat lanes.', send.queued],
+        ['helper_telegram_send_deepest_chat_queue', 'gauge', 'Longest single-chat lane.', send.deepestChatQueue],
+        ['helper_telegram_sends_total', 'counter', 'Telegram calls that succeeded.', send.sent],
+        ['helper_telegram_sends_delayed_total', 'counter', 'Telegram calls that waited for their chat budget.', send.delayed],
+        ['helper_telegram_sends_throttled_total', 'counter', 'Telegram calls that got a 429.', send.throttled],
+        ['helper_telegram_sends_retried_total', 'counter', 'Telegram calls retried after a transient error.', send.retried],
+        ['helper_telegram_sends_failed_total', 'counter', 'Telegram calls that failed for good.', send.failed],
+    ];
+    for (const [name, type, help, value] of gauges) { header(name, type, help); lines.push(`${name} ${value}`); }
+    return `${lines.join('\n')}\n`;
+}
+async function getHealthReport() {
+    const db = { ok: false, totalConnections: pool.totalCount, idleConnections: pool.idleCount, waitingClients: pool.waitingCount };
+    try {
+        await Promise.race([pool.query('SELECT 1'), sleep(3000).then(() => { throw new Error('timed out'); })]);
+        db.ok = true;
+    } catch (e) { db.error = e.message; }
+    const listener = { ok: listenerState.connected, ...listenerState };
+    // A polling error within the last minute means updates are probably not getting through.
+    const recentPollingError = telegramPollingState.lastErrorAt && Date.now() - telegramPollingState.lastErrorAt < 60000;
+    const telegram = { enabled: TELEGRAM_POLLING_ENABLED, polling: TELEGRAM_POLLING_ENABLED ? bot.isPolling() : false, ...telegramPollingState };
+    telegram.ok = !TELEGRAM_POLLING_ENABLED || (telegram.polling && !recentPollingError);
+    // Prices degrade to SOL display on their own, so they are reported but don't fail the check.
+    return { ok: db.ok && listener.ok && telegram.ok, helperBotId: MY_BOT_ID, activeSessions: myActiveSessionCount, pickupsPaused, db, listener, telegram, prices: priceOracle.getStatus() };
+}
+function startHttpServer() {
+    if (!HELPER_HTTP_PORT) return;
+    const app = express();
+    app.get('/healthz', async (req, res) => {
+        const report = await getHealthReport();
+        res.status(report.ok ? 200 : 503).json(report);
+    });
+    app.get('/metrics', (req, res) => res.type('text/plain; version=0.0.4').send(renderPrometheusMetrics()));
+    if (!HELPER_SUPPORT_TOKEN) {
+        log.warn('HELPER_SUPPORT_TOKEN is not set; the /sessions routes are disabled', { component: 'HTTP' });
+    } else {
+        app.use('/sessions', sessionRoutes());
+    }
+    app.listen(HELPER_HTTP_PORT, () => log.info('HTTP server listening', { component: 'HTTP', port: HELPER_HTTP_PORT }))
+        .on('error', (e) => log.error('Could not start the HTTP server', { component: 'HTTP', err: e }));
+}
+// Support inspection of a single session; every request needs the support token.
+function sessionRoutes() {
+    const router = express.Router();
+    router.use((req, res, next) => (req.get('authorization') === `Bearer ${HELPER_SUPPORT_TOKEN}` ? next() : res.status(401).json({ error: 'unauthorized' })));
+    router.param('id', (req, res, next, id) => (/^\d+$/.test(id) ? next() : res.status(400).json({ error: 'session id must be numeric' })));
+    router.get('/:id', async (req, res) => {
+        try {
+            const result = await pool.query("SELECT * FROM interactive_game_sessions WHERE session_id = $1", [req.params.id]);
+            if (result.rowCount === 0) return res.status(404).json({ error: 'not found' });
+            const session = result.rows[0];
+            const gameState = session.game_state_json || {};
+            res.json({
+                sessionId: session.session_id, mainBotGameId: session.main_bot_game_id, gameType: session.game_type,
+                gameName: getCleanGameNameHelper(session.game_type), mode: getGameMode(session.game_type),
+                status: session.status, helperBotId: session.helper_bot_id, userId: String(session.user_id), chatId: String(session.chat_id),
+                betAmountLamports: String(session.bet_amount_lamports), createdAt: session.created_at, leaseExpiresAt: session.lease_expires_at,
+                previousSessionId: session.previous_session_id ?? null,
+                currentPlayerTurn: gameState.currentPlayerTurn ?? null,
+                turnDeadline: gameState.turnDeadline ? new Date(gameState.turnDeadline).toISOString() : null,
+                gameState,
+            });
+        } catch (e) {
+            log.error('Error loading session', { component: 'HTTP', sessionId: req.params.id, err: e });
+            res.status(500).json({ error: 'internal error' });
+        }
+    });
+    router.get('/:id/journal', async (req, res) => {
+        try {
+            const entries = await loadSessionJournal(req.params.id);
+            res.json({
+                sessionId: Number(req.params.id),
+                entries: entries.map(e => ({ journalId: String(e.journal_id), at: e.created_at, type: e.entry_type, actor: e.actor, helperBotId: e.helper_bot_id, correlationId: e.correlation_id, detail: e.detail })),
+            });
+        } catch (e) {
+            log.error('Error loading session journal', { component: 'HTTP', sessionId: req.params.id, err: e });
+            res.status(500).json({ error: 'internal error' });
+        }
+    });
+    return router;
+}
+
 
 // --- Main Execution ---
-console.log('🚀 Helper Bot starting...');
-setupNotificationListeners().catch(e => { console.error("CRITICAL: Could not set up notification listeners.", e); process.exit(1); });
-setInterval(processPendingGames, GAME_LOOP_INTERVAL);
+// Only `node helper_bot.js` connects and starts the loops; importing the module (the test harness) starts nothing.
+function startHelper() {
+    if (!HELPER_BOT_TOKEN || !DATABASE_URL) {
+        log.error('HELPER_BOT_TOKEN or DATABASE_URL is missing; the helper cannot start');
+        process.exit(1);
+    }
+    useDatabase(new Pool({ connectionString: DATABASE_URL, ssl: { rejectUnauthorized: false } }));
+    useTelegramClient(new TelegramBot(HELPER_BOT_TOKEN, { polling: TELEGRAM_POLLING_ENABLED ? { params: { allowed_updates: ["message", "callback_query"] } } : false }));
+    log.info('Helper starting');
+    priceOracle.start();
+    startHttpServer();
+    ensureHelperSchema()
+        .then(setupNotificationListeners)
+        .then(() => resumeInProgressSessions().catch(e => log.error('Error resuming sessions', { component: 'ResumeSessions', err: e })))
+        .then(() => resumeTournaments().catch(e => log.error('Error resuming tournaments', { component: 'ResumeTournaments', err: e })))
+        .then(() => setInterval(helperHeartbeat, HELPER_HEARTBEAT_INTERVAL_MS))
+        .catch(e => { log.error('Could not start the helper (schema or notification listeners)', { err: e }); process.exit(1); });
+    setInterval(processPendingGames, GAME_LOOP_INTERVAL);
+}
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) startHelper();
+
+export {
+    useDatabase, useTelegramClient, handleEvent, handleGameStart, handleRollSubmitted, handleSessionAction,
+    handlePvBRoll, handleDarts501Continue, advancePvPGameState, finalizeGame, handleGameTimeout, clearTurnTimers, getGameEmoji,
+    rankGroupPlayers, setupNotificationListeners,
+};
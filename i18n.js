@@ -0,0 +1,68 @@
+// i18n.js - Message catalogs for player-facing text.
+//
+// A catalog is a flat JSON object per language (locales/<code>.json) mapping keys to messages. Messages use
+// named placeholders ("{name}"); a message that depends on a number is an object of plural forms
+// ({ "one": "...", "few": "...", "other": "..." }) picked with Intl.PluralRules from params.count.
+// Keys missing from a language fall back to the default language, and then to the key itself.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Marks a value as pre-rendered HTML (a score card, a bold fragment) so t() interpolates it unescaped.
+export function rawHtml(value) { return { __html: String(value) }; }
+
+export function loadCatalogs(dir) {
+    const dirPath = dir instanceof URL ? fileURLToPath(dir) : dir;
+    const catalogs = {};
+    for (const file of fs.readdirSync(dirPath).filter(f => f.endsWith('.json'))) {
+        catalogs[file.slice(0, -5).toLowerCase()] = JSON.parse(fs.readFileSync(path.join(dirPath, file), 'utf8'));
+    }
+    return catalogs;
+}
+
+export function createTranslator({ catalogs, defaultLanguage = 'en', escape, logger = console }) {
+    if (!catalogs[defaultLanguage]) throw new Error(`No catalog for the default language '${defaultLanguage}'`);
+    const pluralRules = new Map();
+    const reportedMissing = new Set();
+
+    // "pt-BR" -> "pt-br" if there is such a catalog, else "pt"; null for languages without a catalog.
+    function resolveLanguage(code) {
+        if (!code) return null;
+        const normalized = String(code).toLowerCase().replace('_', '-');
+        if (catalogs[normalized]) return normalized;
+        const base = normalized.split('-')[0];
+        return catalogs[base] ? base : null;
+    }
+    function lookup(lang, key) {
+        const language = resolveLanguage(lang) || defaultLanguage;
+        if (catalogs[language][key] !== undefined) return { language, message: catalogs[language][key] };
+        if (catalogs[defaultLanguage][key] !== undefined) return { language: defaultLanguage, message: catalogs[defaultLanguage][key] };
+        if (!reportedMissing.has(key)) { reportedMissing.add(key); logger.warn('Missing message', { key }); }
+        return { language: defaultLanguage, message: key };
+    }
+    function selectPlural(language, forms, count) {
+        if (!pluralRules.has(language)) pluralRules.set(language, new Intl.PluralRules(language));
+        return forms[pluralRules.get(language).select(Number(count) || 0)] ?? forms.other;
+    }
+    function render(lang, key, params, escapeValue) {
+        const { language, message } = lookup(lang, key);
+        const template = typeof message === 'object' ? selectPlural(language, message, params.count) : message;
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+            const value = params[name];
+            return value && typeof value === 'object' && '__html' in value ? value.__html : escapeValue(value);
+        });
+    }
+
+    return {
+        defaultLanguage,
+        languages: Object.keys(catalogs).sort(),
+        resolveLanguage,
+        has: (key) => Object.values(catalogs).some(catalog => catalog[key] !== undefined),
+        // For parse_mode HTML messages: interpolated values are escaped unless wrapped with rawHtml().
+        t: (lang, key, params = {}) => render(lang, key, params, escape),
+        // For plain text (button labels, callback answers), where Telegram shows the text as-is.
+        plain: (lang, key, params = {}) => render(lang, key, params, (value) => (value === null || value === undefined ? '' : String(value))),
+    };
+}
@@ -0,0 +1,47 @@
+// logger.js - Structured logs: one JSON object per line.
+//
+// Every entry carries the time, level and message, the logger's base fields (e.g. helperId), the fields of the
+// child logger it was written through (e.g. component, sessionId, gameType) and those of the surrounding
+// withContext() call (e.g. correlationId). Context follows async calls, so whatever an event handler, tap or
+// timer triggers is logged with the same correlation ID without passing it around.
+// Errors under `err` are written as { message, code, stack }; BigInts as strings.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    return { message: error.message, ...(error.code !== undefined ? { code: error.code } : {}), stack: error.stack };
+}
+const jsonReplacer = (key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+// `write(line, level)` receives each serialized entry; the default sends warn and error to stderr.
+export function createLogger({
+    level = 'info',
+    base = {},
+    write = (line, levelName) => (LOG_LEVELS[levelName] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`),
+} = {}) {
+    const context = new AsyncLocalStorage();
+    const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+    function emit(levelName, fields, msg, extra) {
+        if (LOG_LEVELS[levelName] < threshold) return;
+        const entry = { time: new Date().toISOString(), level: levelName, msg, ...base, ...context.getStore(), ...fields, ...extra };
+        if (entry.err !== undefined) entry.err = serializeError(entry.err);
+        write(JSON.stringify(entry, jsonReplacer), levelName);
+    }
+    function makeLogger(fields) {
+        return {
+            debug: (msg, extra = {}) => emit('debug', fields, msg, extra),
+            info: (msg, extra = {}) => emit('info', fields, msg, extra),
+            warn: (msg, extra = {}) => emit('warn', fields, msg, extra),
+            error: (msg, extra = {}) => emit('error', fields, msg, extra),
+            child: (more) => makeLogger({ ...fields, ...more }),
+            // Runs fn with extra context fields; nested calls add to (and may override) the outer ones.
+            withContext: (more, fn) => context.run({ ...context.getStore(), ...more }, fn),
+            context: () => context.getStore() || {},
+        };
+    }
+    return makeLogger({});
+}
@@ -0,0 +1,143 @@
+// price_oracle.js - SOL exchange rates for display, refreshed in the background.
+//
+// Sources are tried in order on every refresh; for each currency the first source that returns a rate wins.
+// Rendering never waits on the network: it reads the last good rate, and the staleness policy decides
+// whether that rate is shown as-is, marked approximate ("≈") or replaced by the plain SOL amount.
+
+import fs from 'fs';
+import axios from 'axios';
+
+const LAMPORTS_PER_SOL = 1_000_000_000;
+const SOURCE_TIMEOUT_MS = 8000;
+
+// Binance only lists a few fiat pairs; USDT stands in for USD. Each pair is a separate request, so one failing
+// pair only leaves that currency for the next source; the source fails only when no pair could be fetched.
+const BINANCE_SYMBOLS = { USD: 'SOLUSDT', EUR: 'SOLEUR', BRL: 'SOLBRL', TRY: 'SOLTRY' };
+
+export const PRICE_SOURCES = {
+    binance: () => ({
+        name: 'binance',
+        async fetchRates(currencies) {
+            const rates = {};
+            const errors = [];
+            for (const currency of currencies.filter(c => BINANCE_SYMBOLS[c])) {
+                try {
+                    const res = await axios.get(`https://api.binance.com/api/v3/ticker/price?symbol=${BINANCE_SYMBOLS[currency]}`, { timeout: SOURCE_TIMEOUT_MS });
+                    rates[currency] = parseFloat(res.data?.price);
+                } catch (e) {
+                    errors.push(`${BINANCE_SYMBOLS[currency]}: ${e.message}`);
+                }
+            }
+            if (errors.length > 0 && Object.keys(rates).length === 0) throw new Error(errors.join('; '));
+            return rates;
+        },
+    }),
+    coingecko: () => ({
+        name: 'coingecko',
+        async fetchRates(currencies) {
+            const res = await axios.get(`https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=${currencies.map(c => c.toLowerCase()).join(',')}`, { timeout: SOURCE_TIMEOUT_MS });
+            return Object.fromEntries(currencies.map(c => [c, parseFloat(res.data?.solana?.[c.toLowerCase()])]));
+        },
+    }),
+    // Fixed rates, e.g. "USD=150,EUR=138", for tests and offline runs.
+    fixed: ({ fixedRates = '' } = {}) => ({
+        name: 'fixed',
+        async fetchRates() {
+            return Object.fromEntries(fixedRates.split(',').filter(Boolean).map(pair => {
+                const [currency, rate] = pair.split('=');
+                return [currency.trim().toUpperCase(), parseFloat(rate)];
+            }));
+        },
+    }),
+    // A JSON file of { "USD": 150.1, "EUR": 138.4 }, re-read on every refresh.
+    file: ({ filePath } = {}) => ({
+        name: 'file',
+        async fetchRates() {
+            if (!filePath) throw new Error('no price file configured');
+            const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            return Object.fromEntries(Object.entries(data).map(([currency, rate]) => [currency.toUpperCase(), parseFloat(rate)]));
+        },
+    }),
+};
+
+export function formatSolAmount(lamports) {
+    const sol = Number(BigInt(lamports)) / LAMPORTS_PER_SOL;
+    return `${sol.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 4 })} SOL`;
+}
+
+export function createPriceOracle({
+    sources = ['binance', 'coingecko'],
+    currencies = ['USD'],
+    refreshIntervalMs = 60 * 1000,
+    staleAfterMs = 5 * 60 * 1000,
+    maxAgeMs = 60 * 60 * 1000,
+    sourceOptions = {},
+    logger = console,
+} = {}) {
+    const activeSources = sources.map(name => {
+        if (!PRICE_SOURCES[name]) throw new Error(`Unknown price source '${name}'`);
+        return PRICE_SOURCES[name](sourceOptions);
+    });
+    const rates = new Map(); // currency -> { rate, source, updatedAt }
+    let refreshTimer = null;
+    let lastRefreshAt = null;
+    let lastRefreshErrors = [];
+
+    async function refresh() {
+        const missing = new Set(currencies);
+        const errors = [];
+        for (const source of activeSources) {
+            if (missing.size === 0) break;
+            try {
+                const fetched = await source.fetchRates([...missing]);
+                for (const [currency, rate] of Object.entries(fetched)) {
+                    if (!missing.has(currency) || !Number.isFinite(rate) || rate <= 0) continue;
+                    rates.set(currency, { rate, source: source.name, updatedAt: Date.now() });
+                    missing.delete(currency);
+                }
+            } catch (e) {
+                errors.push(`${source.name}: ${e.message}`);
+            }
+        }
+        lastRefreshAt = Date.now();
+        lastRefreshErrors = errors;
+        if (missing.size > 0) logger.warn('No fresh rate', { currencies: [...missing], errors });
+    }
+
+    // Returns { rate, source, ageMs, stale } or null once the rate is older than maxAgeMs (or never loaded).
+    function getRate(currency) {
+        const entry = rates.get(currency);
+        if (!entry) return null;
+        const ageMs = Date.now() - entry.updatedAt;
+        if (ageMs > maxAgeMs) return null;
+        return { rate: entry.rate, source: entry.source, ageMs, stale: ageMs > staleAfterMs };
+    }
+
+    function formatLamports(lamports, currency = 'USD') {
+        if (currency === 'SOL') return formatSolAmount(lamports);
+        const quote = getRate(currency);
+        if (!quote) return formatSolAmount(lamports);
+        const sol = Number(BigInt(lamports)) / LAMPORTS_PER_SOL;
+        const amount = (sol * quote.rate).toLocaleString('en-US', { style: 'currency', currency, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        return quote.stale ? `≈${amount}` : amount;
+    }
+
+    return {
+        currencies: ['SOL', ...currencies],
+        refresh,
+        getRate,
+        formatLamports,
+        start() {
+            if (refreshTimer) return;
+            refresh().catch(e => logger.error('Refresh failed', { err: e }));
+            refreshTimer = setInterval(() => refresh().catch(e => logger.error('Refresh failed', { err: e })), refreshIntervalMs);
+        },
+        stop() { clearInterval(refreshTimer); refreshTimer = null; },
+        getStatus() {
+            return {
+                lastRefreshAt, lastRefreshErrors,
+                rates: Object.fromEntries(currencies.map(c => [c, getRate(c)])),
+            };
+        },
+    };
+}
@@ -0,0 +1,106 @@
+// fake_telegram.js - A stand-in for node-telegram-bot-api's TelegramBot, for the scenario runner.
+//
+// It implements the calls helper_bot.js makes and records every one of them in `calls`. Dice come from a
+// script: each sendDice takes the next value queued with scriptDice(), and an empty script is an error, so a
+// scenario always says exactly what the bot throws. tap() and command() play updates through the handlers
+// registered with on()/onText() and resolve once those handlers have finished.
+
+export function createFakeTelegram() {
+    const listeners = new Map(); // event -> [handler]
+    const textHandlers = []; // [regexp, handler]
+    const messages = new Map(); // `${chatId}:${messageId}` -> { chatId, messageId, text, replyMarkup, deleted }
+    const diceScript = [];
+    const calls = [];
+    let nextMessageId = 1;
+    let nextCallbackId = 1;
+
+    const messageKey = (chatId, messageId) => `${chatId}:${messageId}`;
+    // Errors look like the library's: ETELEGRAM with the Bot API's description.
+    function telegramError(description) {
+        const error = new Error(`ETELEGRAM: 400 Bad Request: ${description}`);
+        error.code = 'ETELEGRAM';
+        error.response = { statusCode: 400, body: { ok: false, error_code: 400, description: `Bad Request: ${description}` } };
+        return error;
+    }
+    function storeMessage(chatId, fields) {
+        const message = { message_id: nextMessageId++, chat: { id: chatId }, date: Math.floor(Date.now() / 1000), ...fields };
+        messages.set(messageKey(chatId, message.message_id), { chatId: String(chatId), messageId: message.message_id, text: fields.text ?? null, replyMarkup: fields.reply_markup ?? null, deleted: false });
+        return message;
+    }
+    function liveMessage(chatId, messageId) {
+        const message = messages.get(messageKey(chatId, messageId));
+        if (!message || message.deleted) throw telegramError('message to edit not found');
+        return message;
+    }
+
+    return {
+        calls,
+        on(event, handler) {
+            if (!listeners.has(event)) listeners.set(event, []);
+            listeners.get(event).push(handler);
+        },
+        onText(regexp, handler) { textHandlers.push([regexp, handler]); },
+        isPolling() { return false; },
+
+        async sendMessage(chatId, text, options = {}) {
+            const message = storeMessage(chatId, { text, reply_markup: options.reply_markup });
+            calls.push({ method: 'sendMessage', chatId: String(chatId), messageId: message.message_id, text, options });
+            return message;
+        },
+        async sendDice(chatId, options = {}) {
+            const emoji = options.emoji || '🎲';
+            if (diceScript.length === 0) throw new Error(`fake Telegram: no scripted dice value left for ${emoji} in chat ${chatId}`);
+            const message = storeMessage(chatId, { dice: { emoji, value: diceScript.shift() } });
+            calls.push({ method: 'sendDice', chatId: String(chatId), messageId: message.message_id, emoji, value: message.dice.value });
+            return message;
+        },
+        async editMessageText(text, { chat_id: chatId, message_id: messageId, ...options } = {}) {
+            const message = liveMessage(chatId, messageId);
+            const replyMarkup = options.reply_markup ?? null;
+            if (message.text === text && JSON.stringify(message.replyMarkup) === JSON.stringify(replyMarkup)) throw telegramError('message is not modified');
+            Object.assign(message, { text, replyMarkup });
+            calls.push({ method: 'editMessageText', chatId: String(chatId), messageId, text, options });
+            return { message_id: messageId, chat: { id: chatId }, text };
+        },
+        async editMessageReplyMarkup(replyMarkup, { chat_id: chatId, message_id: messageId } = {}) {
+            const message = liveMessage(chatId, messageId);
+            message.replyMarkup = replyMarkup;
+            calls.push({ method: 'editMessageReplyMarkup', chatId: String(chatId), messageId, replyMarkup });
+            return { message_id: messageId, chat: { id: chatId } };
+        },
+        async deleteMessage(chatId, messageId) {
+            const message = messages.get(messageKey(chatId, messageId));
+            if (!message || message.deleted) throw telegramError('message to delete not found');
+            message.deleted = true;
+            calls.push({ method: 'deleteMessage', chatId: String(chatId), messageId });
+            return true;
+        },
+        async answerCallbackQuery(callbackQueryId, options = {}) {
+            calls.push({ method: 'answerCallbackQuery', callbackQueryId, text: options.text ?? null });
+            return true;
+        },
+        async getChatMember(chatId, userId) { return { user: { id: userId }, status: 'member' }; },
+
+        // --- Scripting and inspection ---
+        scriptDice(...values) { diceScript.push(...values.flat()); },
+        remainingDice() { return [...diceScript]; },
+        // Messages still visible in a chat, oldest first.
+        visibleMessages(chatId) {
+            return [...messages.values()].filter(m => m.chatId === String(chatId) && !m.deleted);
+        },
+        // A button press. `from` is a Telegram user ({ id, first_name, language_code }).
+        async tap(from, chatId, data) {
+            const callbackQuery = { id: String(nextCallbackId++), from, data, message: { message_id: null, chat: { id: chatId } } };
+            await Promise.all((listeners.get('callback_query') || []).map(handler => handler(callbackQuery)));
+            return calls.filter(c => c.method === 'answerCallbackQuery' && c.callbackQueryId === callbackQuery.id).map(c => c.text);
+        },
+        async command(from, chat, text) {
+            const msg = { message_id: nextMessageId++, from, chat, date: Math.floor(Date.now() / 1000), text };
+            await Promise.all((listeners.get('message') || []).map(handler => handler(msg)));
+            await Promise.all(textHandlers.map(([regexp, handler]) => {
+                const match = regexp.exec(text);
+                return match ? handler(msg, match) : null;
+            }));
+        },
+    };
+}
@@ -0,0 +1,279 @@
+// memory_store.js - An in-memory stand-in for the pg Pool, for the scenario runner.
+//
+// It answers the statements the game engines send, matched on their whitespace-normalized SQL text, and keeps
+// the rows in plain tables. Anything else throws, so a new query in an engine fails its scenario loudly
+// instead of silently returning nothing; add a matching STATEMENTS entry when that happens.
+// Rows come back the way pg returns them: JSONB parsed, BIGINT columns as strings, and a fresh copy per query.
+// Transactions are accepted but not isolated, and ROLLBACK does not undo writes.
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+const bigintText = (value) => (value === null || value === undefined ? null : String(value));
+
+// [pattern, (store, params, match) => rows]. Patterns are tested in order against the normalized SQL.
+const STATEMENTS = [
+    [/^(BEGIN|COMMIT|ROLLBACK)$/, () => []],
+    [/^SELECT pg_notify\(\$1, \$2\)$/, (store, [channel, payload]) => { store.notifications.push({ channel, payload: JSON.parse(payload) }); return [{ pg_notify: '' }]; }],
+
+    // interactive_game_sessions
+    [/^SELECT (.+) FROM interactive_game_sessions WHERE session_id = \$1( FOR UPDATE)?$/, (store, [sessionId], match) => {
+        const session = store.sessions.get(Number(sessionId));
+        return session ? [pickColumns(session, match[1])] : [];
+    }],
+    [/^SELECT \* FROM interactive_game_sessions WHERE session_id = \$1 AND helper_bot_id = \$2 AND status = 'in_progress'$/, (store, [sessionId, helperBotId]) => {
+        const session = store.sessions.get(Number(sessionId));
+        return session && session.helper_bot_id === helperBotId && session.status === 'in_progress' ? [session] : [];
+    }],
+    [/^UPDATE interactive_game_sessions SET game_state_json = \$1 WHERE session_id = \$2$/, (store, [gameState, sessionId]) => {
+        const session = store.sessions.get(Number(sessionId));
+        if (session) session.game_state_json = parseJson(gameState);
+        return [];
+    }],
+    [/^UPDATE interactive_game_sessions SET status = \$1, game_state_json = \$2 WHERE session_id = \$3$/, (store, [status, gameState, sessionId]) => {
+        const session = store.sessions.get(Number(sessionId));
+        if (session) Object.assign(session, { status, game_state_json: parseJson(gameState) });
+        return [];
+    }],
+    [/^UPDATE interactive_game_sessions SET status = 'in_progress', helper_bot_id = \$1, lease_expires_at = NOW\(\) \+ \$3 \* INTERVAL '1 millisecond' WHERE session_id = \$2 AND status = 'pending_pickup' RETURNING \*$/, (store, [helperBotId, sessionId, leaseMs]) => {
+        const session = store.sessions.get(Number(sessionId));
+        if (!session || session.status !== 'pending_pickup') return [];
+        Object.assign(session, { status: 'in_progress', helper_bot_id: helperBotId, lease_expires_at: new Date(Date.now() + Number(leaseMs)) });
+        return [session];
+    }],
+    [/^UPDATE interactive_game_sessions SET status = \$1, helper_bot_id = \$2, game_state_json = \$3 WHERE session_id = \$4 AND status = 'pending_pickup' RETURNING session_id$/, (store, [status, helperBotId, gameState, sessionId]) => {
+        const session = store.sessions.get(Number(sessionId));
+        if (!session || session.status !== 'pending_pickup') return [];
+        Object.assign(session, { status, helper_bot_id: helperBotId, game_state_json: parseJson(gameState) });
+        return [{ session_id: session.session_id }];
+    }],
+    [/^UPDATE interactive_game_sessions SET game_state_json = game_state_json - 'awaitingRoll' - 'lastRoll' - 'lastRollMeta' WHERE session_id = \$1 AND status = 'in_progress' AND game_state_json->>'awaitingRoll' = 'true' RETURNING session_id$/, (store, [sessionId]) => {
+        const session = store.sessions.get(Number(sessionId));
+        if (!session || session.status !== 'in_progress' || session.game_state_json?.awaitingRoll !== true) return [];
+        for (const key of ['awaitingRoll', 'lastRoll', 'lastRollMeta']) delete session.game_state_json[key];
+        return [{ session_id: session.session_id }];
+    }],
+    [/^INSERT INTO interactive_game_sessions \(main_bot_game_id, user_id, chat_id, game_type, bet_amount_lamports, status, game_state_json, previous_session_id\) VALUES \(\$1, \$2, \$3, \$4, \$5, 'pending_pickup', \$6, \$7\) RETURNING \*$/, (store, [mainBotGameId, userId, chatId, gameType, betLamports, gameState, previousSessionId]) => (
+        [store.insertSession({ main_bot_game_id: mainBotGameId, user_id: userId, chat_id: chatId, game_type: gameType, bet_amount_lamports: betLamports, game_state_json: parseJson(gameState), previous_session_id: previousSessionId })]
+    )],
+
+    [/^UPDATE interactive_game_sessions SET game_state_json = game_state_json - 'lastRoll' - 'lastRollMeta' WHERE session_id = \$1 AND game_state_json->'lastRollMeta'->>'message_id' IS NOT DISTINCT FROM \$2$/, (store, [sessionId, messageId]) => {
+        const gameState = store.sessions.get(Number(sessionId))?.game_state_json;
+        const stored = gameState?.lastRollMeta?.message_id;
+        if (gameState && (stored === undefined || stored === null ? null : String(stored)) === messageId) {
+            delete gameState.lastRoll;
+            delete gameState.lastRollMeta;
+        }
+        return [];
+    }],
+    [/^SELECT \* FROM interactive_game_sessions WHERE helper_bot_id = \$1 AND status = 'in_progress' AND game_state_json->>'awaitingRoll' = 'true' AND jsonb_typeof\(game_state_json->'lastRoll'\) = 'number'$/, (store, [helperBotId]) => (
+        [...store.sessions.values()].filter(s => s.helper_bot_id === helperBotId && s.status === 'in_progress' && s.game_state_json?.awaitingRoll === true && typeof s.game_state_json?.lastRoll === 'number')
+    )],
+    [/^SELECT \* FROM interactive_game_sessions WHERE status = 'pending_pickup' AND \(game_state_json->>'awaitingStakes' IS NULL OR stakes_debited_at IS NOT NULL\) ORDER BY created_at ASC LIMIT 5$/, (store) => (
+        [...store.sessions.values()].filter(s => s.status === 'pending_pickup' && (s.game_state_json?.awaitingStakes === undefined || s.stakes_debited_at !== null)).slice(0, 5)
+    )],
+
+    // Event outbox and the LISTEN connection
+    [/^LISTEN \w+$/, () => []],
+    [/^INSERT INTO helper_event_cursors \(helper_bot_id, last_event_id\) SELECT \$1, COALESCE\(MAX\(event_id\), 0\) FROM helper_event_outbox ON CONFLICT \(helper_bot_id\) DO NOTHING$/, (store, [helperBotId]) => {
+        if (!store.eventCursors.has(helperBotId)) store.eventCursors.set(helperBotId, store.outbox.length);
+        return [];
+    }],
+    [/^SELECT o\.\* FROM helper_event_outbox o, helper_event_cursors c WHERE c\.helper_bot_id = \$1 AND o\.event_id > c\.last_event_id AND o\.channel = ANY\(\$2\) AND o\.source <> \$1 ORDER BY o\.event_id ASC$/, (store, [helperBotId, channels]) => (
+        store.outbox.filter(e => Number(e.event_id) > (store.eventCursors.get(helperBotId) ?? 0) && channels.includes(e.channel) && e.source !== helperBotId)
+    )],
+    [/^INSERT INTO helper_event_outbox \(channel, event_type, version, payload, source\) VALUES \(\$1, \$2, \$3, \$4, \$5\) RETURNING event_id$/, (store, [channel, eventType, version, payload, source]) => {
+        const row = { event_id: String(store.outbox.length + 1), channel, event_type: eventType, version, payload: parseJson(payload), source, created_at: new Date() };
+        store.outbox.push(row);
+        return [{ event_id: row.event_id }];
+    }],
+
+    // Provably-fair seeds
+    [/^INSERT INTO pvb_fairness_seeds \(session_id, server_seed\) VALUES \(\$1, \$2\) ON CONFLICT/, (store, [sessionId, serverSeed]) => { store.fairnessSeeds.set(Number(sessionId), serverSeed); return []; }],
+    [/^SELECT server_seed FROM pvb_fairness_seeds WHERE session_id = \$1$/, (store, [sessionId]) => (
+        store.fairnessSeeds.has(Number(sessionId)) ? [{ server_seed: store.fairnessSeeds.get(Number(sessionId)) }] : []
+    )],
+
+    // Darts 501 leaderboard: keeps the fastest checkout and the biggest multiplier, like the ON CONFLICT clause.
+    [/^INSERT INTO darts_501_best_finishes AS t /, (store, [userId, tier, doubleOut, userName, checkoutVisits, sessionId, multiplier]) => {
+        const key = `${userId}:${tier}:${doubleOut}`;
+        const row = store.dartsBestFinishes.get(key) || { user_id: bigintText(userId), tier, double_out: doubleOut, best_checkout_visits: null, best_checkout_session_id: null, best_multiplier: null, best_multiplier_session_id: null };
+        row.user_name = userName;
+        if (checkoutVisits !== null && (row.best_checkout_visits === null || checkoutVisits < row.best_checkout_visits)) Object.assign(row, { best_checkout_visits: checkoutVisits, best_checkout_session_id: sessionId });
+        if (row.best_multiplier === null || multiplier > Number(row.best_multiplier)) Object.assign(row, { best_multiplier: String(multiplier), best_multiplier_session_id: sessionId });
+        store.dartsBestFinishes.set(key, row);
+        return [];
+    }],
+
+    // Game results, newest first: finished_at ties (same millisecond) fall back to insertion order.
+    [/^INSERT INTO helper_game_results /, (store, [sessionId, userId, userName, chatId, gameType, gameMode, status, outcome, stake, payout, net, score, opponentScore, multiplier, rounds]) => {
+        if (store.gameResults.some(r => r.session_id === Number(sessionId) && r.user_id === String(userId))) return [];
+        store.gameResults.push({
+            session_id: Number(sessionId), user_id: String(userId), user_name: userName, chat_id: bigintText(chatId), game_type: gameType, game_mode: gameMode, status, outcome,
+            stake_lamports: stake, payout_lamports: payout, net_lamports: net, score, opponent_score: opponentScore, multiplier: multiplier === null ? null : String(multiplier),
+            rounds: parseJson(rounds), finished_at: new Date(),
+        });
+        return [];
+    }],
+    [/^SELECT \* FROM helper_game_results WHERE user_id = \$1 ORDER BY finished_at DESC, session_id DESC LIMIT \$2 OFFSET \$3$/, (store, [userId, limit, offset]) => (
+        resultsFor(store, userId).reverse().slice(offset, offset + limit)
+    )],
+    [/^SELECT COALESCE\(SUM\(net_lamports\), 0\) AS net_lamports FROM helper_game_results WHERE user_id = \$1 AND finished_at > /, (store, [userId, windowMs]) => (
+        [{ net_lamports: String(resultsFor(store, userId).filter(r => r.finished_at > Date.now() - windowMs).reduce((sum, r) => sum + BigInt(r.net_lamports), 0n)) }]
+    )],
+    // The /stats aggregate, grouped by game type like the GROUP BY (pg returns COUNT and SUM as strings).
+    [/^SELECT game_type, game_mode, COUNT\(\*\) AS games, .+ FROM helper_game_results WHERE user_id = \$1 GROUP BY game_type, game_mode/, (store, [userId]) => {
+        const groups = new Map();
+        for (const r of resultsFor(store, userId)) {
+            if (!groups.has(r.game_type)) groups.set(r.game_type, []);
+            groups.get(r.game_type).push(r);
+        }
+        const average = (values) => (values.length ? String(values.reduce((a, b) => a + b, 0) / values.length) : null);
+        return [...groups.values()].map(rows => ({
+            game_type: rows[0].game_type, game_mode: rows[0].game_mode, games: String(rows.length),
+            wins: String(rows.filter(r => BigInt(r.net_lamports) > 0n).length),
+            best_score: rows.some(r => r.score !== null) ? Math.max(...rows.filter(r => r.score !== null).map(r => r.score)) : null,
+            avg_multiplier: average(rows.filter(r => r.outcome === 'cashout').map(r => Number(r.multiplier))),
+            net_lamports: String(rows.reduce((sum, r) => sum + BigInt(r.net_lamports), 0n)),
+        })).sort((a, b) => b.games - a.games || a.game_type.localeCompare(b.game_type));
+    }],
+
+    // Spectator side bets
+    [/^SELECT \* FROM helper_spectator_bets WHERE session_id = \$1 AND status = 'open' FOR UPDATE$/, (store, [sessionId]) => (
+        store.spectatorBets.filter(b => b.session_id === Number(sessionId) && b.status === 'open')
+    )],
+    [/^UPDATE helper_spectator_bets SET status = \$1, payout_lamports = \$2, settled_at = NOW\(\) WHERE bet_id = \$3$/, (store, [status, payout, betId]) => {
+        const bet = store.spectatorBets.find(b => b.bet_id === String(betId));
+        if (bet) Object.assign(bet, { status, payout_lamports: payout, settled_at: new Date() });
+        return [];
+    }],
+
+    // Roll validation audit
+    [/^INSERT INTO helper_roll_rejections /, (store, [sessionId, userId, gameType, reason, rollValue, rollMeta, helperBotId]) => {
+        store.rollRejections.push({ session_id: Number(sessionId), user_id: bigintText(userId), game_type: gameType, reason, roll_value: rollValue, roll_meta: parseJson(rollMeta), helper_bot_id: helperBotId });
+        return [];
+    }],
+
+    // Helper fleet: a scenario runs a single helper, so no other helper reports a load.
+    [/^SELECT MIN\(active_sessions\) AS min_load FROM helper_bot_heartbeats /, () => [{ min_load: null }]],
+
+    // Admin audit
+    [/^INSERT INTO helper_admin_audit /, (store, [adminUserId, helperBotId, command, sessionId, args, outcome]) => {
+        store.adminAudit.push({ admin_user_id: bigintText(adminUserId), helper_bot_id: helperBotId, command, session_id: sessionId, args, outcome });
+        return [];
+    }],
+
+    // Session journal
+    [/^INSERT INTO helper_session_journal /, (store, [sessionId, entryType, actor, helperBotId, correlationId, detail]) => {
+        store.journal.push({ journal_id: String(store.journal.length + 1), session_id: Number(sessionId), entry_type: entryType, actor, helper_bot_id: helperBotId, correlation_id: correlationId, detail: parseJson(detail), created_at: new Date() });
+        return [];
+    }],
+    [/^SELECT \* FROM helper_session_journal WHERE session_id = \$1 ORDER BY journal_id ASC$/, (store, [sessionId]) => (
+        store.journal.filter(e => e.session_id === Number(sessionId))
+    )],
+
+    // Responsible-gaming limits: rows come from setRgLimits().
+    [/^SELECT \* FROM helper_rg_limits WHERE user_id = \$1$/, (store, [userId]) => (store.rgLimits.has(String(userId)) ? [store.rgLimits.get(String(userId))] : [])],
+    [/^UPDATE helper_rg_limits SET play_started_at = CASE /, (store, [userId, playBreakMs]) => {
+        const row = store.rgLimits.get(String(userId));
+        if (!row) return [];
+        const now = new Date();
+        if (!row.last_played_at || row.last_played_at < now - playBreakMs) row.play_started_at = now;
+        row.last_played_at = now;
+        return [{ play_started_at: row.play_started_at, last_reality_check_at: row.last_reality_check_at, reality_check_minutes: row.reality_check_minutes }];
+    }],
+    [/^UPDATE helper_rg_limits SET last_reality_check_at = NOW\(\) WHERE user_id = \$1$/, (store, [userId]) => {
+        const row = store.rgLimits.get(String(userId));
+        if (row) row.last_reality_check_at = new Date();
+        return [];
+    }],
+
+    // Display currency and language preferences: scenarios start with none stored.
+    [/^SELECT currency FROM helper_display_currency WHERE scope = \$1 AND scope_id = \$2$/, () => []],
+    [/^SELECT language, source FROM helper_language_prefs WHERE scope = \$1 AND scope_id = \$2$/, (store, [scope, scopeId]) => {
+        const row = store.languagePrefs.get(`${scope}:${scopeId}`);
+        return row ? [{ language: row.language, source: row.source }] : [];
+    }],
+    [/^INSERT INTO helper_language_prefs \(scope, scope_id, language, source\) VALUES \('user', \$1, \$2, 'telegram'\)/, (store, [userId, language]) => {
+        const key = `user:${userId}`;
+        if (!store.languagePrefs.has(key) || store.languagePrefs.get(key).source === 'telegram') store.languagePrefs.set(key, { language, source: 'telegram' });
+        return [];
+    }],
+];
+
+const resultsFor = (store, userId) => store.gameResults.filter(r => r.user_id === String(userId));
+
+function pickColumns(row, columnList) {
+    if (columnList.trim() === '*') return row;
+    return Object.fromEntries(columnList.split(',').map(c => c.trim()).map(column => [column, row[column]]));
+}
+
+export function createMemoryStore({ firstSessionId = 1 } = {}) {
+    let nextSessionId = firstSessionId;
+    const store = {
+        sessions: new Map(),
+        outbox: [],
+        notifications: [],
+        fairnessSeeds: new Map(),
+        dartsBestFinishes: new Map(),
+        spectatorBets: [],
+        rollRejections: [],
+        languagePrefs: new Map(),
+        rgLimits: new Map(),
+        gameResults: [],
+        journal: [],
+        eventCursors: new Map(), // helper_bot_id -> last_event_id
+        adminAudit: [],
+        statements: [], // every normalized statement, in order
+
+        insertSession(fields) {
+            const session = {
+                session_id: nextSessionId++, main_bot_game_id: null, status: 'pending_pickup', helper_bot_id: null,
+                game_state_json: {}, created_at: new Date(), lease_expires_at: null, previous_session_id: null, stakes_debited_at: null,
+                ...fields,
+            };
+            for (const column of ['user_id', 'chat_id', 'bet_amount_lamports']) session[column] = bigintText(session[column]);
+            if (session.previous_session_id !== null) session.previous_session_id = Number(session.previous_session_id);
+            session.game_state_json = clone(parseJson(session.game_state_json));
+            store.sessions.set(session.session_id, session);
+            return clone(session);
+        },
+        // Stores a helper_rg_limits row; unset columns are NULL. Timestamps may be given as ISO strings.
+        setRgLimits(userId, fields) {
+            const row = {
+                user_id: String(userId), daily_loss_limit_lamports: null, weekly_loss_limit_lamports: null, daily_session_limit: null,
+                reality_check_minutes: null, cool_off_until: null, self_excluded_until: null, pending_limits: null, pending_effective_at: null,
+                play_started_at: null, last_played_at: null, last_reality_check_at: null, updated_at: new Date(),
+            };
+            for (const [column, value] of Object.entries(fields)) row[column] = /_(at|until)$/.test(column) && value !== null ? new Date(value) : value;
+            for (const column of ['daily_loss_limit_lamports', 'weekly_loss_limit_lamports']) row[column] = bigintText(row[column]);
+            store.rgLimits.set(String(userId), row);
+        },
+        getSession(sessionId) { return clone(store.sessions.get(Number(sessionId))); },
+        // The event types published for a session, in order.
+        eventTypes(sessionId) {
+            return store.outbox.filter(e => Number(e.payload.session_id) === Number(sessionId)).map(e => e.event_type);
+        },
+
+        // The journal entry types written for a session, in order.
+        journalTypes(sessionId) {
+            return store.journal.filter(e => e.session_id === Number(sessionId)).map(e => e.entry_type);
+        },
+
+        async query(sql, params = []) {
+            const text = sql.replace(/\s+/g, ' ').trim();
+            store.statements.push(text);
+            for (const [pattern, run] of STATEMENTS) {
+                const match = pattern.exec(text);
+                if (!match) continue;
+                const rows = run(store, params, match).map(clone);
+                return { rows, rowCount: rows.length };
+            }
+            throw new Error(`memory store: unsupported statement: ${text}`);
+        },
+        // pg's pool.connect(): the client shares the store, and release() is a no-op.
+        async connect() {
+            return { query: (sql, params) => store.query(sql, params), release() {}, on() {} };
+        },
+    };
+    return store;
+}
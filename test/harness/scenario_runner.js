@@ -0,0 +1,132 @@
+// scenario_runner.js - Replays a whole game from a script against helper_bot.js and checks how it ended.
+//
+// A scenario is plain data (see test/scenarios/*.json):
+//   { "name": "...",
+//     "session": { "game_type": "bowling", "bet_amount_lamports": "10000000", "user_id": "101", "chat_id": "101",
+//                  "game_state_json": { "initiatorId": "101", "initiatorName": "Alice" } },
+//     "players": { "101": { "first_name": "Alice" } },
+//     "rgLimits": { "101": { "cool_off_until": "2099-01-01T00:00:00Z" } },
+//     "steps": [ { "roll": 6, "by": "101", "dice": [1] },
+//                { "tap": "interactive_continue", "by": "101", "dice": [6, 6] },
+//                { "timeout": true } ],
+//     "expect": { "status": "completed_win", "state": { "playerScore": 60 }, "events": ["pickup", "completed"] } }
+// `dice` queues the values the bot's own dice land on during that step. `roll` is a player's dice, delivered
+// the way the main bot does (lastRoll plus lastRollMeta, then a roll_submitted event); `meta` overrides the
+// metadata. `tap` presses the session's inline button (`args` are appended to the callback data), and
+// `timeout` lets the current turn deadline pass. Each step waits until the helper has gone quiet. `rgLimits`
+// seeds helper_rg_limits rows by user id.
+
+import assert from 'node:assert/strict';
+import { createFakeTelegram } from './fake_telegram.js';
+import { createMemoryStore } from './memory_store.js';
+
+// Fast, offline settings. They are read when helper_bot.js is first imported, so set them before that.
+const HARNESS_ENV = {
+    HELPER_BOT_ID: 'HarnessHelper',
+    DEFAULT_LANGUAGE: 'en',
+    PVB_BOT_ROLL_DELAY_MS: '0',
+    TELEGRAM_PRIVATE_CHAT_INTERVAL_MS: '1',
+    TELEGRAM_GROUP_CHAT_INTERVAL_MS: '1',
+    TELEGRAM_GLOBAL_SENDS_PER_SECOND: '100000',
+    REMATCH_WINDOW_MS: '2000',
+    LOG_LEVEL: 'error',
+    ADMIN_USER_IDS: '909',
+};
+const QUIET_PERIOD_MS = 25;
+const SETTLE_TIMEOUT_MS = 5000;
+
+let helperModule = null;
+// Each scenario numbers its sessions from its own block, so a timer left over from an earlier scenario (a rematch
+// card expiring) finds nothing in a later scenario's store.
+let scenarioCount = 0;
+export async function loadHelper() {
+    if (!helperModule) {
+        for (const [name, value] of Object.entries(HARNESS_ENV)) process.env[name] ??= value;
+        helperModule = await import('../../helper_bot.js');
+    }
+    return helperModule;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Some work is fire-and-forget (message deletes, the rematch card), so wait until neither Telegram nor the
+// store has seen a call for QUIET_PERIOD_MS.
+async function settle(telegram, store) {
+    const startedAt = Date.now();
+    let seen = -1;
+    while (Date.now() - startedAt < SETTLE_TIMEOUT_MS) {
+        const activity = telegram.calls.length + store.statements.length;
+        if (activity === seen) return;
+        seen = activity;
+        await sleep(QUIET_PERIOD_MS);
+    }
+    throw new Error(`scenario did not settle within ${SETTLE_TIMEOUT_MS} ms`);
+}
+
+function telegramUser(scenario, userId) {
+    return { id: Number(userId), is_bot: false, first_name: `User ${userId}`, ...(scenario.players?.[userId] || {}) };
+}
+
+async function runStep(helper, scenario, context, step) {
+    const { telegram, store, sessionId } = context;
+    if (step.dice) telegram.scriptDice(step.dice);
+    const session = store.getSession(sessionId);
+    if (step.roll !== undefined) {
+        const gameState = session.game_state_json;
+        gameState.lastRoll = step.roll;
+        gameState.lastRollMeta = {
+            from_id: Number(step.by ?? gameState.currentPlayerTurn), emoji: helper.getGameEmoji(session.game_type),
+            date: Math.floor(Date.now() / 1000), message_id: 10000 + context.stepIndex, ...(step.meta || {}),
+        };
+        await store.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), sessionId]);
+        await helper.handleEvent({ type: 'roll_submitted', eventId: null, payload: { session_id: sessionId } });
+    } else if (step.tap) {
+        const data = [step.tap, step.session ?? sessionId, ...(step.args || [])].join(':');
+        context.answers.push(...await telegram.tap(telegramUser(scenario, step.by ?? session.user_id), session.chat_id, data));
+    } else if (step.timeout) {
+        const gameState = session.game_state_json;
+        gameState.turnDeadline = Date.now() - 1;
+        await store.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), sessionId]);
+        helper.clearTurnTimers(sessionId);
+        await helper.handleGameTimeout(sessionId);
+    } else {
+        throw new Error(`scenario step ${context.stepIndex} has nothing to do: ${JSON.stringify(step)}`);
+    }
+    await settle(telegram, store);
+}
+
+// Runs the scenario and returns { session, store, telegram, answers } for any further checks.
+export async function runScenario(scenario) {
+    const helper = await loadHelper();
+    const telegram = createFakeTelegram();
+    const store = createMemoryStore({ firstSessionId: ++scenarioCount * 1000 + 1 });
+    helper.useDatabase(store);
+    helper.useTelegramClient(telegram);
+
+    for (const [userId, limits] of Object.entries(scenario.rgLimits || {})) store.setRgLimits(userId, limits);
+    const started = store.insertSession({ status: 'pending_pickup', ...scenario.session });
+    const context = { telegram, store, sessionId: started.session_id, answers: [], stepIndex: 0 };
+    try {
+        if (scenario.startDice) telegram.scriptDice(scenario.startDice);
+        await helper.handleGameStart(started);
+        await settle(telegram, store);
+        for (const step of scenario.steps || []) {
+            context.stepIndex++;
+            await runStep(helper, scenario, context, step);
+        }
+    } finally {
+        for (const sessionId of store.sessions.keys()) helper.clearTurnTimers(sessionId);
+    }
+
+    const session = store.getSession(context.sessionId);
+    const expected = scenario.expect || {};
+    const label = scenario.name || 'scenario';
+    if (expected.status) assert.equal(session.status, expected.status, `${label}: final status`);
+    for (const [key, value] of Object.entries(expected.state || {})) {
+        assert.deepEqual(session.game_state_json[key], value, `${label}: game_state_json.${key}`);
+    }
+    if (expected.events) assert.deepEqual(store.eventTypes(context.sessionId), expected.events, `${label}: published events`);
+    if (expected.rollRejections) assert.deepEqual(store.rollRejections.map(r => r.reason), expected.rollRejections, `${label}: rejected rolls`);
+    if (expected.answers) assert.deepEqual(context.answers.filter(Boolean), expected.answers, `${label}: callback answers`);
+    assert.deepEqual(telegram.remainingDice(), [], `${label}: every scripted dice value is thrown`);
+    return { session, store, telegram, answers: context.answers };
+}
@@ -0,0 +1,226 @@
+// Replays every game script in test/scenarios against the real engines, plus checks that need more than the
+// final session row. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { loadHelper, runScenario } from './harness/scenario_runner.js';
+
+const scenarioDir = new URL('./scenarios/', import.meta.url);
+for (const file of fs.readdirSync(scenarioDir).filter(f => f.endsWith('.json')).sort()) {
+    const scenario = JSON.parse(fs.readFileSync(new URL(file, scenarioDir), 'utf8'));
+    test(scenario.name || file, () => runScenario(scenario));
+}
+
+test('a finished PvB game posts a rematch card, and the new session starts on the main bot\'s pickup', async () => {
+    const { session, store, telegram } = await runScenario({
+        name: 'PvB basketball push and rematch',
+        session: {
+            game_type: 'basketball', bet_amount_lamports: '10000000', user_id: '101', chat_id: '101',
+            game_state_json: { initiatorId: '101', initiatorName: 'Alice' },
+        },
+        steps: [
+            { roll: 4, dice: [5] },
+            { roll: 5, dice: [4] },
+            { roll: 1, dice: [2] },
+            { tap: 'rematch', args: ['same'] },
+        ],
+        expect: { status: 'completed_push', state: { playerScore: 7, botScore: 7 } },
+    });
+    const rematch = [...store.sessions.values()].find(s => s.previous_session_id === session.session_id);
+    assert.ok(rematch, 'a rematch session was created');
+    assert.equal(rematch.status, 'pending_pickup', 'the game waits until the main bot has debited the stake');
+    assert.equal(rematch.bet_amount_lamports, '10000000');
+    assert.equal(session.game_state_json.rematch.newSessionId, rematch.session_id);
+    assert.deepEqual(store.eventTypes(rematch.session_id), ['rematch_created']);
+
+    const helper = await loadHelper();
+    await helper.handleEvent({ type: 'pickup', eventId: null, payload: { session_id: rematch.session_id } });
+    helper.clearTurnTimers(rematch.session_id);
+    assert.equal(store.getSession(rematch.session_id).status, 'in_progress');
+    assert.equal(store.getSession(rematch.session_id).game_state_json.awaitingStakes, undefined);
+    assert.deepEqual(store.eventTypes(rematch.session_id), ['rematch_created', 'pickup']);
+    assert.ok(telegram.visibleMessages('101').some(m => /Round 1/.test(m.text)), 'the rematch prompts round 1');
+});
+
+test('a rematch whose pickup was missed is started by the poller once the main bot has recorded the stakes', async () => {
+    const { session, store, telegram } = await runScenario({
+        session: {
+            game_type: 'basketball', bet_amount_lamports: '10000000', user_id: '101', chat_id: '101',
+            game_state_json: { initiatorId: '101', initiatorName: 'Alice' },
+        },
+        steps: [
+            { roll: 4, dice: [5] },
+            { roll: 5, dice: [4] },
+            { roll: 1, dice: [2] },
+            { tap: 'rematch', args: ['same'] },
+        ],
+        expect: { status: 'completed_push' },
+    });
+    const rematch = [...store.sessions.values()].find(s => s.previous_session_id === session.session_id);
+    const helper = await loadHelper();
+    await helper.setupNotificationListeners();
+    assert.equal(store.getSession(rematch.session_id).status, 'pending_pickup', 'unconfirmed stakes keep the rematch pending');
+
+    store.sessions.get(rematch.session_id).stakes_debited_at = new Date();
+    await helper.setupNotificationListeners();
+    helper.clearTurnTimers(rematch.session_id);
+    assert.equal(store.getSession(rematch.session_id).status, 'in_progress');
+    assert.ok(telegram.visibleMessages('101').some(m => /Round 1/.test(m.text)), 'the rematch prompts round 1');
+});
+
+test('a bot roll that cannot be sent ends the PvB game as a loss', async () => {
+    // Nothing is scripted for the bot, so the fake Telegram client refuses the sendDice.
+    const { session } = await runScenario({
+        session: {
+            game_type: 'bowling', bet_amount_lamports: '10000000', user_id: '101', chat_id: '101',
+            game_state_json: { initiatorId: '101', initiatorName: 'Alice' },
+        },
+        steps: [{ roll: 6 }],
+        expect: { status: 'completed_loss', events: ['pickup', 'completed'] },
+    });
+    assert.deepEqual(session.game_state_json.botRolls, []);
+});
+
+test('a roll delivered twice at once is applied once, and the copy is rejected as not awaited', async () => {
+    const { session, store, telegram } = await runScenario({
+        session: {
+            game_type: 'bowling', bet_amount_lamports: '10000000', user_id: '101', chat_id: '101',
+            game_state_json: { initiatorId: '101', initiatorName: 'Alice' },
+        },
+        expect: { status: 'in_progress', state: { awaitingRoll: true } },
+    });
+    const helper = await loadHelper();
+    const gameState = { ...session.game_state_json, lastRoll: 6, lastRollMeta: { from_id: 101, emoji: '🎳', date: Math.floor(Date.now() / 1000), message_id: 500 } };
+    await store.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
+    telegram.scriptDice(1);
+    const delivery = { type: 'roll_submitted', eventId: null, payload: { session_id: session.session_id } };
+    await Promise.all([helper.handleEvent(delivery), helper.handleEvent(delivery)]);
+    helper.clearTurnTimers(session.session_id);
+    assert.deepEqual(store.getSession(session.session_id).game_state_json.playerRolls, [6]);
+    assert.deepEqual(store.rollRejections.map(r => r.reason), ['not_awaiting_roll']);
+});
+
+test('a roll stored while the listener was down is applied when it reconnects', async () => {
+    const { session, store, telegram } = await runScenario({
+        session: {
+            game_type: 'bowling', bet_amount_lamports: '10000000', user_id: '101', chat_id: '101',
+            game_state_json: { initiatorId: '101', initiatorName: 'Alice' },
+        },
+        expect: { status: 'in_progress', state: { awaitingRoll: true } },
+    });
+    // The main bot stores the roll, but its NOTIFY goes nowhere.
+    const gameState = { ...session.game_state_json, lastRoll: 6, lastRollMeta: { from_id: 101, emoji: '🎳', date: Math.floor(Date.now() / 1000), message_id: 500 } };
+    await store.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
+
+    const helper = await loadHelper();
+    telegram.scriptDice(1);
+    await helper.setupNotificationListeners();
+    helper.clearTurnTimers(session.session_id);
+    const after = store.getSession(session.session_id).game_state_json;
+    assert.deepEqual([after.playerRolls, after.botRolls], [[6], [1]]);
+    assert.equal(after.lastRoll, undefined, 'the applied roll is consumed');
+    assert.deepEqual(telegram.remainingDice(), []);
+
+    await helper.setupNotificationListeners();
+    assert.deepEqual(store.getSession(session.session_id).game_state_json.playerRolls, [6], 'a second reconnect applies nothing');
+});
+
+test('a rejected roll found on reconnect is rejected once, not again on every reconnect', async () => {
+    const { session, store, telegram } = await runScenario({
+        session: {
+            game_type: 'bowling', bet_amount_lamports: '10000000', user_id: '101', chat_id: '101',
+            game_state_json: { initiatorId: '101', initiatorName: 'Alice' },
+        },
+        expect: { status: 'in_progress', state: { awaitingRoll: true } },
+    });
+    const gameState = { ...session.game_state_json, lastRoll: 6, lastRollMeta: { from_id: 101, emoji: '🎳', date: Math.floor(Date.now() / 1000), message_id: 500, forward_date: 1 } };
+    await store.query("UPDATE interactive_game_sessions SET game_state_json = $1 WHERE session_id = $2", [JSON.stringify(gameState), session.session_id]);
+
+    const helper = await loadHelper();
+    await helper.setupNotificationListeners();
+    await helper.setupNotificationListeners();
+    helper.clearTurnTimers(session.session_id);
+    assert.deepEqual(store.rollRejections.map(r => r.reason), ['forwarded']);
+    assert.equal(telegram.visibleMessages('101').filter(m => /Forwarded dice/.test(m.text)).length, 1);
+    const after = store.getSession(session.session_id).game_state_json;
+    assert.equal(after.lastRoll, undefined);
+    assert.equal(after.awaitingRoll, true, 'the turn is still open for a fresh roll');
+});
+
+test('a player past their reality-check interval is told how long they have played before the game starts', async () => {
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const { store, telegram } = await runScenario({
+        session: {
+            game_type: 'bowling', bet_amount_lamports: '10000000', user_id: '101', chat_id: '101',
+            game_state_json: { initiatorId: '101', initiatorName: 'Alice' },
+        },
+        rgLimits: { 101: { reality_check_minutes: 30, play_started_at: hourAgo, last_played_at: new Date().toISOString() } },
+        steps: [{ roll: 6, dice: [1] }, { roll: 6, dice: [1] }, { roll: 6, dice: [1] }],
+        expect: { status: 'completed_win' },
+    });
+    const notices = telegram.visibleMessages('101').filter(m => /you've been playing for/.test(m.text));
+    assert.equal(notices.length, 1);
+    assert.match(notices[0].text, /60 minutes/);
+    assert.ok(store.rgLimits.get('101').last_reality_check_at, 'the check is stamped so it is not repeated');
+});
+
+test('a finished duel is recorded for both players and shows up in /history and /stats', async () => {
+    const scenario = JSON.parse(fs.readFileSync(new URL('pvp_darts_duel.json', scenarioDir), 'utf8'));
+    const { session, store, telegram } = await runScenario(scenario);
+    assert.deepEqual(store.gameResults.map(r => [r.user_id, r.outcome, r.net_lamports]), [['101', 'loss', '-10000000'], ['202', 'win', '10000000']]);
+
+    const bob = { id: 202, first_name: 'Bob' };
+    await telegram.command(bob, { id: 202, type: 'private' }, '/history');
+    const [history] = telegram.visibleMessages('202');
+    assert.match(history.text, new RegExp(`#${session.session_id}</b> 🎯`));
+    assert.match(history.text, /Won \+0\.01 SOL · 65–30/);
+    assert.match(history.text, /Rounds: 6–3 · 4–3 · 1–3/);
+
+    await telegram.command(bob, { id: 202, type: 'private' }, '/stats');
+    const stats = telegram.visibleMessages('202')[1];
+    assert.match(stats.text, /1 of 1 game won \(100%\) · best score 65/);
+    assert.match(stats.text, /Net result: <b>\+0\.01 SOL<\/b>/);
+});
+
+test('the session journal records a PvB game step by step and /admin_journal exports it to admins only', async () => {
+    const { session, store, telegram } = await runScenario({
+        session: {
+            game_type: 'bowling', bet_amount_lamports: '10000000', user_id: '101', chat_id: '101',
+            game_state_json: { initiatorId: '101', initiatorName: 'Alice' },
+        },
+        steps: [{ roll: 6, dice: [1] }, { roll: 6, dice: [1] }, { roll: 6, dice: [1] }],
+        expect: { status: 'completed_win' },
+    });
+    assert.deepEqual(store.journalTypes(session.session_id), [
+        'pickup', 'prompt_sent',
+        'roll_received', 'bot_roll', 'prompt_sent',
+        'roll_received', 'bot_roll', 'prompt_sent',
+        'roll_received', 'bot_roll', 'finalized',
+    ]);
+    const entries = store.journal.filter(e => e.session_id === session.session_id);
+    assert.ok(entries.every(e => e.helper_bot_id === 'HarnessHelper'));
+    assert.match(entries.find(e => e.entry_type === 'roll_received').correlation_id, /^event-/);
+    assert.deepEqual(entries.at(-1).detail, { requested: 'pvb_resolve', status: 'completed_win', playerScore: 60, botScore: 0 });
+
+    await telegram.command({ id: 303, first_name: 'Mallory' }, { id: 303, type: 'private' }, `/admin_journal ${session.session_id}`);
+    assert.deepEqual(telegram.visibleMessages('303'), []);
+    assert.deepEqual(store.adminAudit.map(a => [a.admin_user_id, a.command, a.outcome]), [['303', 'journal', 'denied']]);
+
+    await telegram.command({ id: 909, first_name: 'Ops' }, { id: 909, type: 'private' }, `/admin_journal ${session.session_id}`);
+    const [timeline] = telegram.visibleMessages('909');
+    assert.match(timeline.text, new RegExp(`Journal #${session.session_id}</b> bowling \\| completed_win \\| 11 entries`));
+    assert.match(timeline.text, /\d\d:\d\d:\d\d\.\d{3} roll_received 101 \{&quot;value&quot;:6,/);
+    assert.match(timeline.text, /finalized helper \{&quot;requested&quot;:&quot;pvb_resolve&quot;/);
+});
+
+test('a group round with fewer survivors than payout places pays the whole pot to those left', async () => {
+    const { rankGroupPlayers } = await loadHelper();
+    const players = [
+        { id: 101, name: 'Alice', rolls: [6, 6, 6], forfeited: false },
+        { id: 202, name: 'Bob', rolls: [1], forfeited: true },
+        { id: 303, name: 'Carol', rolls: [2], forfeited: true },
+    ];
+    const results = rankGroupPlayers('bowling_group', players, 10000000n);
+    assert.deepEqual(results.map(r => [r.userId, r.rank, r.payoutLamports]), [['101', 1, '30000000'], ['202', null, '0'], ['303', null, '0']]);
+});